@@ -1,9 +1,10 @@
 /**
  * @file copy-wllama-assets.mjs
- * @description Copies prebuilt wllama and PDF.js assets into /public/wllama.
+ * @description Copies prebuilt wllama and PDF.js assets into /public/wllama, and the
+ * Tesseract OCR worker, WASM core and language data into /public/tesseract.
  * @author Warith Harchaoui
  */
-import { mkdirSync, cpSync, existsSync } from "node:fs";
+import { mkdirSync, cpSync, existsSync, readdirSync } from "node:fs";
 import { fileURLToPath } from "node:url";
 import path from "node:path";
 
@@ -33,4 +34,29 @@ if (existsSync(pdfSrc)) {
   console.warn("⚠️ PDF.js worker not found at:", pdfSrc);
 }
 
+// 3. Copy Tesseract OCR Assets (scanned PDFs)
+// Served locally so OCR never fetches the engine or the language models from a CDN.
+// Every installed @tesseract.js-data/<lang> package becomes an available OCR language.
+const ocrDst = path.join(root, "public", "tesseract");
+const ocrWorker = path.join(root, "node_modules", "tesseract.js", "dist", "worker.min.js");
+const ocrCore = path.join(root, "node_modules", "tesseract.js-core");
+const ocrData = path.join(root, "node_modules", "@tesseract.js-data");
+if (existsSync(ocrWorker) && existsSync(ocrCore)) {
+  mkdirSync(path.join(ocrDst, "core"), { recursive: true });
+  mkdirSync(path.join(ocrDst, "lang"), { recursive: true });
+  cpSync(ocrWorker, path.join(ocrDst, "worker.min.js"));
+  // Only the LSTM builds are used; the .wasm.js variants embed their WASM binary.
+  for (const file of readdirSync(ocrCore).filter(f => f.endsWith("-lstm.wasm.js"))) {
+    cpSync(path.join(ocrCore, file), path.join(ocrDst, "core", file));
+  }
+  const langs = existsSync(ocrData) ? readdirSync(ocrData) : [];
+  for (const lang of langs) {
+    const data = path.join(ocrData, lang, "4.0.0_best_int", `${lang}.traineddata.gz`);
+    if (existsSync(data)) cpSync(data, path.join(ocrDst, "lang", `${lang}.traineddata.gz`));
+  }
+  console.log(`✅ Copied Tesseract OCR assets (${langs.join(", ") || "no language"}) to`, ocrDst);
+} else {
+  console.warn("⚠️ Tesseract OCR assets not found: scanned PDFs will not be indexed.");
+}
+
 console.log("🚀 All assets successfully prepared.");
@@ -0,0 +1,98 @@
+/**
+ * @file bm25.js
+ * @description Lexical BM25 index built alongside the embeddings during PDF indexing.
+ *
+ * DESIGN RATIONALE:
+ * Small chat models embed exact identifiers (part numbers, error codes, acronyms) poorly,
+ * so pure cosine ranking often misses them. BM25 matches those terms literally; its ranking
+ * is later fused with the vector ranking (see retrieval.js).
+ * @author Warith Harchaoui
+ */
+
+/** Standard BM25 parameters: term-frequency saturation and length normalization. */
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Splits text into lowercase terms. Keeps alphanumeric runs together with inner
+ * dots, dashes and slashes, so "ERR-404" or "v2.3.6" stay single terms.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenizeTerms(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+(?:[._\-/][\p{L}\p{N}]+)*/gu) || [];
+}
+
+/**
+ * Reads a term count from a term map. Maps are plain objects once stored in IndexedDB (the
+ * structured clone gives them back their prototype), so inherited keys such as "constructor"
+ * must not be taken for terms.
+ * @param {Object<string, number>} counts
+ * @param {string} term
+ * @returns {number}
+ */
+function countOf(counts, term) {
+  return Object.hasOwn(counts, term) ? counts[term] : 0;
+}
+
+/**
+ * Builds a serializable BM25 index over a list of chunks.
+ * @param {Array<string>} chunks - Chunk texts
+ * @returns {{docFreq: Object<string, number>, termFreqs: Array<Object<string, number>>, lengths: Array<number>, avgLength: number}}
+ */
+export function buildBm25Index(chunks) {
+  const docFreq = Object.create(null);
+  const termFreqs = [];
+  const lengths = [];
+
+  for (const chunk of chunks) {
+    const terms = tokenizeTerms(chunk);
+    const tf = Object.create(null);
+    for (const t of terms) tf[t] = (tf[t] || 0) + 1;
+    for (const t of Object.keys(tf)) docFreq[t] = (docFreq[t] || 0) + 1;
+    termFreqs.push(tf);
+    lengths.push(terms.length);
+  }
+
+  const avgLength = lengths.reduce((a, b) => a + b, 0) / (lengths.length || 1);
+  return { docFreq, termFreqs, lengths, avgLength };
+}
+
+/**
+ * Scores every chunk of an index against a query.
+ * @param {Object} index - Index produced by buildBm25Index
+ * @param {string} query - User query
+ * @returns {Array<number>} One score per chunk (0 when no query term matches)
+ */
+export function scoreBm25(index, query) {
+  const n = index.termFreqs.length;
+  const terms = [...new Set(tokenizeTerms(query))];
+  const scores = new Array(n).fill(0);
+
+  for (const t of terms) {
+    const df = countOf(index.docFreq, t);
+    if (!df) continue;
+    const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+    for (let i = 0; i < n; i++) {
+      const tf = countOf(index.termFreqs[i], t);
+      if (!tf) continue;
+      const norm = 1 - B + B * (index.lengths[i] / (index.avgLength || 1));
+      scores[i] += idf * (tf * (K1 + 1)) / (tf + K1 * norm);
+    }
+  }
+  return scores;
+}
+
+/**
+ * Flags the chunks of an index that contain an identifier-like query term: one with a digit
+ * or an inner dot, dash, underscore or slash ("ERR-404", "v2.3.6", "X200"). Unlike a BM25
+ * score above 0, which any chunk sharing "the" or "what" with the query gets, such a match
+ * is evidence that the chunk is about what was asked.
+ * @param {Object} index - Index produced by buildBm25Index
+ * @param {string} query - User query
+ * @returns {Array<boolean>} One flag per chunk
+ */
+export function matchIdentifiers(index, query) {
+  const terms = [...new Set(tokenizeTerms(query))].filter(t => /[\p{N}._\-/]/u.test(t));
+  return index.termFreqs.map(tf => terms.some(t => countOf(tf, t) > 0));
+}
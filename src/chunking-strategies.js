@@ -0,0 +1,182 @@
+/**
+ * @file chunking-strategies.js
+ * @description Registry of named chunking strategies, chosen with their parameters per document
+ * at upload time. The choice is recorded in the stored index (`chunking`), so re-indexing the
+ * same file (e.g. with another model) starts from the same strategy and parameters.
+ *
+ * DESIGN RATIONALE:
+ * No strategy is best for every document: fixed windows are predictable, sentence packing suits
+ * running prose, structure-based chunks keep short sections whole in manuals and reports, and
+ * semantic breakpoints follow topic shifts in long unstructured text. Every strategy plugs into
+ * chunkDocument as a prose chunker; tables are always chunked by rows, and every chunk is held
+ * to the embedding batch limit whatever the strategy.
+ * @author Warith Harchaoui
+ */
+import {
+  charProseChunker, enforceMaxTokens, tokenProseChunker, structureProseChunker,
+  semanticProseChunker, tokenTableChunker,
+} from "./chunking.js";
+
+/** Strategy proposed when the user has never chosen one. */
+export const DEFAULT_STRATEGY = "sentence";
+
+/** localStorage key remembering the last strategy and parameters chosen at upload. */
+const LAST_CHUNKING_KEY = "lastChunking";
+
+/**
+ * @typedef {Object} StrategyParam
+ * @property {string} label - Input label
+ * @property {number} default
+ * @property {number} min
+ * @property {number} max
+ * @property {number} step
+ */
+
+/**
+ * @typedef {Object} ChunkingContext
+ * @property {string} text - Full document text
+ * @property {Function} countTokens - (string) => Promise<number>, the model's tokenizer
+ * @property {Function} measure - (chunk) => Promise<number>, tokens of the embedded text
+ * @property {number} maxTokens - Hard limit on the embedded text of a chunk
+ * @property {string} language - Document language, for sentence and word segmentation
+ * @property {Array<number>} sectionStarts - Offsets of the section headings in `text`
+ * @property {Function} embed - (string) => Promise<Float32Array>, for semantic chunking
+ */
+
+/**
+ * Available strategies, by id. `create(params, ctx)` returns the prose chunker given to
+ * chunkDocument.
+ * @type {Object<string, {label: string, description: string, params: Object<string, StrategyParam>, create: Function}>}
+ */
+export const CHUNKING_STRATEGIES = {
+  "fixed-window": {
+    label: "Fixed window",
+    description: "Windows of a fixed number of characters, cut at the nearest sentence or word boundary, with an overlap.",
+    params: {
+      size: { label: "Window size (characters)", default: 800, min: 200, max: 2000, step: 50 },
+      overlap: { label: "Overlap (characters)", default: 100, min: 0, max: 500, step: 10 },
+    },
+    create: (params, ctx) => {
+      const windows = charProseChunker(ctx.text, { ...params, language: ctx.language });
+      // Character sizes say little about tokens (dense scripts, numbers): oversized windows are
+      // re-chunked by tokens.
+      const fallback = tokenProseChunker(ctx.text, ctx.countTokens, tokenOptions({}, ctx));
+      return (from, to) => enforceMaxTokens(windows(from, to), ctx.measure, ctx.maxTokens, fallback);
+    },
+  },
+  sentence: {
+    label: "Sentences",
+    description: "Whole sentences packed up to a size in model tokens, ending on paragraph breaks when close to it.",
+    params: {
+      targetTokens: { label: "Target size (tokens)", default: 200, min: 50, max: 280, step: 10 },
+      overlapTokens: { label: "Overlap (tokens)", default: 30, min: 0, max: 100, step: 5 },
+    },
+    create: (params, ctx) => tokenProseChunker(ctx.text, ctx.countTokens, tokenOptions(params, ctx)),
+  },
+  recursive: {
+    label: "Recursive by structure",
+    description: "Whole sections when they fit, otherwise whole paragraphs, then sentences. Chunks never cross a heading.",
+    params: {
+      targetTokens: { label: "Target size (tokens)", default: 250, min: 50, max: 280, step: 10 },
+    },
+    create: (params, ctx) => structureProseChunker(ctx.text, ctx.countTokens, {
+      ...tokenOptions(params, ctx),
+      sectionStarts: ctx.sectionStarts,
+    }),
+  },
+  semantic: {
+    label: "Semantic",
+    description: "Cuts where the topic shifts: sentences are embedded and compared (slower indexing).",
+    params: {
+      targetTokens: { label: "Maximum size (tokens)", default: 200, min: 50, max: 280, step: 10 },
+      breakpointPercentile: { label: "Breakpoint percentile (higher = fewer, longer chunks)", default: 90, min: 50, max: 99, step: 1 },
+    },
+    create: (params, ctx) => semanticProseChunker(ctx.text, ctx.countTokens, ctx.embed, tokenOptions(params, ctx)),
+  },
+};
+
+/** Token chunking options of chunking.js from strategy parameters and the document context. */
+function tokenOptions(params, ctx) {
+  return {
+    targetTokens: CHUNKING_STRATEGIES.sentence.params.targetTokens.default,
+    overlapTokens: 0,
+    ...params,
+    maxTokens: ctx.maxTokens,
+    measure: ctx.measure,
+    language: ctx.language,
+  };
+}
+
+/**
+ * Default parameters of a strategy.
+ * @param {string} strategy - Strategy id
+ * @returns {Object<string, number>}
+ */
+export function defaultParams(strategy) {
+  return Object.fromEntries(Object.entries(CHUNKING_STRATEGIES[strategy].params).map(([k, p]) => [k, p.default]));
+}
+
+/**
+ * Turns a recorded chunking choice into a valid one: unknown strategies fall back to the
+ * default, missing parameters take their defaults, out-of-range values are clamped. Indexes
+ * built before strategies existed are mapped to the strategy that produced them.
+ * @param {Object|null|undefined} recorded - `chunking` of a stored index, or a saved choice
+ * @returns {{strategy: string, params: Object<string, number>}}
+ */
+export function normalizeChunking(recorded) {
+  let strategy = recorded?.strategy;
+  let params = recorded?.params || {};
+  if (!strategy && recorded?.semantic) {
+    strategy = "semantic";
+    params = { targetTokens: recorded.targetTokens, ...recorded.semantic };
+  } else if (!strategy && recorded?.targetTokens) {
+    strategy = "sentence";
+    params = recorded;
+  } else if (!strategy && recorded?.size) {
+    strategy = "fixed-window";
+    params = recorded;
+  }
+  if (!CHUNKING_STRATEGIES[strategy]) strategy = DEFAULT_STRATEGY;
+
+  const normalized = {};
+  for (const [key, p] of Object.entries(CHUNKING_STRATEGIES[strategy].params)) {
+    const value = Number(params[key]);
+    normalized[key] = Number.isFinite(value) ? Math.min(p.max, Math.max(p.min, value)) : p.default;
+  }
+  return { strategy, params: normalized };
+}
+
+/**
+ * Builds the chunkers of a document for chunkDocument.
+ * @param {{strategy: string, params: Object<string, number>}} chunking - A normalized choice
+ * @param {ChunkingContext} ctx
+ * @returns {{prose: Function, table: Function}}
+ */
+export function createChunkers(chunking, ctx) {
+  const { strategy, params } = normalizeChunking(chunking);
+  return {
+    prose: CHUNKING_STRATEGIES[strategy].create(params, ctx),
+    // Tables are chunked by rows, with the header repeated, whatever the prose strategy.
+    table: tokenTableChunker(ctx.text, ctx.countTokens, tokenOptions(params, ctx)),
+  };
+}
+
+/**
+ * Reads the last chunking choice made at upload.
+ * @returns {{strategy: string, params: Object<string, number>}}
+ */
+export function loadLastChunking() {
+  try {
+    return normalizeChunking(JSON.parse(localStorage.getItem(LAST_CHUNKING_KEY)));
+  } catch {
+    return normalizeChunking(null);
+  }
+}
+
+/**
+ * Remembers a chunking choice as the default of the next upload.
+ * @param {{strategy: string, params: Object<string, number>}} chunking
+ */
+export function saveLastChunking(chunking) {
+  localStorage.setItem(LAST_CHUNKING_KEY, JSON.stringify(normalizeChunking(chunking)));
+}
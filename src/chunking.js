@@ -0,0 +1,522 @@
+/**
+ * @file chunking.js
+ * @description Splitting of extracted document text into chunks that keep track of where
+ * they come from: character offsets in the document text and the pages they span.
+ * @author Warith Harchaoui
+ */
+
+import { sentenceSpans, wordBoundaryBefore } from "./segmentation.js";
+import { cosineSimilarity } from "./retrieval.js";
+
+/** Blank line separating paragraphs in the extracted text (see linesToText). */
+const PARAGRAPH_BREAK = /\n\s*\n/;
+/** A chunk filled to this share of its target ends at the next paragraph start. */
+const PARAGRAPH_FILL = 0.75;
+/** Semantic chunking: sentences shorter than this (tokens) are embedded with the next ones. */
+const MIN_SEMANTIC_GROUP = 12;
+/** Semantic chunking: regions with fewer sentence groups are only packed by size. */
+const MIN_SEMANTIC_GROUPS = 4;
+
+/**
+ * @typedef {Object} Chunk
+ * @property {string} text - Chunk text (trimmed)
+ * @property {string} [source] - Name of the source document
+ * @property {number} start - Offset of the first character in the document text
+ * @property {number} end - Offset after the last character in the document text
+ * @property {number} [pageStart] - First page (1-based) the chunk spans
+ * @property {number} [pageEnd] - Last page (1-based) the chunk spans
+ * @property {boolean} [table] - True for Markdown table chunks (header row + separator + rows)
+ * @property {string} [section] - Section path ("3 Installation > 3.2 Linux"), see sections.js
+ * @property {Array<Object>} [duplicates] - Locations (offsets, pages, section) of the copies
+ *   collapsed into this chunk, see dedupe.js
+ */
+
+/**
+ * Builds a chunk from a slice of a text, trimming whitespace while keeping exact offsets.
+ * @param {string} text - Text the offsets refer to (the document or a parent chunk's text)
+ * @param {number} from - Slice start in `text`
+ * @param {number} to - Slice end in `text`
+ * @param {number} [base=0] - Offset of `text` in the document text
+ * @returns {Chunk}
+ */
+export function sliceChunk(text, from, to, base = 0) {
+  const raw = text.substring(from, to);
+  const lead = raw.length - raw.trimStart().length;
+  const trimmed = raw.trim();
+  return { text: trimmed, start: base + from + lead, end: base + from + lead + trimmed.length };
+}
+
+/**
+ * Splits document text into overlapping, sentence-aware chunks.
+ * 
+ * DESIGN RATIONALE:
+ * Character-based slicing often cuts sentences in half, leading into low-quality 
+ * RAG results. This function attempts to find the nearest sentence end, newline, or
+ * word boundary to ensure that each fragment is semantically coherent. Sentences and words
+ * are segmented for the document language (see segmentation.js), so abbreviations and
+ * scripts without spaces are handled.
+ * The 'overlap' ensures that context is maintained between consecutive fragments.
+ *
+ * @param {string} [lang="en"] - Document language
+ * @returns {Array<Chunk>} Chunks with their character offsets in `text`
+ */
+export function chunkText(text, size = 600, overlap = 100, lang = "en") {
+  const chunks = [];
+  const sentenceEnds = sentenceSpans(text, 0, text.length, lang).map(s => s.end);
+  let i = 0;
+
+  while (i < text.length) {
+    let end = i + size;
+    if (end < text.length) {
+      // Seek a logical break point within a small window at the end of the chunk.
+      const from = end - 100;
+      const to = end + 20;
+      const sentenceEnd = sentenceEnds.findLast(e => e > from && e <= to);
+      const newline = text.lastIndexOf("\n", to);
+      const breakAt = sentenceEnd ?? (newline > from ? newline + 1 : wordBoundaryBefore(text, to, from, lang));
+
+      if (breakAt !== -1) {
+        end = breakAt;
+      }
+    }
+
+    chunks.push(sliceChunk(text, i, end));
+    if (end >= text.length) break;
+
+    // Step back by the overlap (to a word start), unless that would not move past the chunk
+    // start (a break point found close to it): then continue from the chunk end to avoid looping.
+    const back = end - overlap;
+    const word = back < end ? wordBoundaryBefore(text, back, i, lang) : -1;
+    const next = word !== -1 ? word : back;
+    i = next > i ? next : end;
+  }
+
+  // Filter out tiny fragments (usually artifacts of the splitting logic).
+  return chunks.filter(c => c.text.length > 10);
+}
+
+/**
+ * Chunks the whole document text: prose and tables are chunked by separate functions, so
+ * tables always get their own chunks and their structure is never mixed with prose.
+ * @param {string} text - Full document text
+ * @param {Array<{start: number, end: number}>} tableSpans - Table positions in `text`, in order
+ * @param {Object} chunkers
+ * @param {Function} chunkers.prose - (from, to) => chunks of the prose between two offsets
+ * @param {Function} chunkers.table - (start, end) => chunks of a table
+ * @returns {Promise<Array<Chunk>>} Chunks in document order, with offsets in `text`
+ */
+export async function chunkDocument(text, tableSpans, { prose, table }) {
+  const chunks = [];
+  let cursor = 0;
+  for (const span of tableSpans) {
+    chunks.push(...await prose(cursor, span.start));
+    chunks.push(...await table(span.start, span.end));
+    cursor = span.end;
+  }
+  chunks.push(...await prose(cursor, text.length));
+  return chunks;
+}
+
+/**
+ * Character-based prose chunker for chunkDocument (chunkText with document offsets).
+ * @param {string} text - Full document text
+ * @param {{size: number, overlap: number, language?: string}} opts - Sizes in characters
+ * @returns {Function} (from, to) => Array<Chunk>
+ */
+export function charProseChunker(text, { size, overlap, language = "en" }) {
+  return (from, to) => chunkText(text.substring(from, to), size, overlap, language)
+    .map(c => ({ ...c, start: c.start + from, end: c.end + from }));
+}
+
+/**
+ * Replaces the chunks whose embedded text is over the token limit by a finer chunking of
+ * their span, for strategies that do not measure in tokens (e.g. character windows on
+ * scripts with many tokens per character).
+ * @param {Array<Chunk>} chunks
+ * @param {Function} measure - (chunk) => Promise<number>, tokens of the embedded text
+ * @param {number} maxTokens
+ * @param {Function} rechunk - (from, to) => Promise<Array<Chunk>>, a token-based chunker
+ * @returns {Promise<Array<Chunk>>}
+ */
+export async function enforceMaxTokens(chunks, measure, maxTokens, rechunk) {
+  const fitted = [];
+  for (const c of chunks) {
+    if (await measure(c) <= maxTokens) fitted.push(c); else fitted.push(...await rechunk(c.start, c.end));
+  }
+  return fitted;
+}
+
+/**
+ * @typedef {Object} Unit
+ * @property {number} start - Offset in the document text
+ * @property {number} end - Offset after the unit
+ * @property {number} tokens - Size in model tokens
+ * @property {boolean} [paragraphStart] - True when the unit starts a paragraph
+ */
+
+/**
+ * Splits a region of text into sentence units, flagging the ones that start a paragraph.
+ * @param {string} text - Full document text
+ * @param {number} from - Region start
+ * @param {number} to - Region end
+ * @param {string} lang - Document language, for sentence segmentation
+ * @returns {Array<{start: number, end: number, paragraphStart: boolean}>} Trimmed, non-empty units
+ */
+export function sentenceUnits(text, from, to, lang) {
+  const units = [];
+  const region = text.substring(from, to);
+  let paragraph = 0;
+  for (const para of region.split(PARAGRAPH_BREAK)) {
+    const paraStart = from + region.indexOf(para, paragraph);
+    paragraph = paraStart - from + para.length;
+    let first = true;
+    for (const span of sentenceSpans(text, paraStart, paraStart + para.length, lang)) {
+      const unit = sliceChunk(text, span.start, span.end);
+      if (!unit.text) continue;
+      units.push({ start: unit.start, end: unit.end, paragraphStart: first });
+      first = false;
+    }
+  }
+  return units;
+}
+
+/**
+ * Measures a unit in tokens, cutting it into equal pieces (at spaces when possible) until
+ * every piece fits the budget. Only runs on sentences longer than a whole chunk.
+ * @returns {Promise<Array<Unit>>}
+ */
+async function fitUnit(text, unit, countTokens, budget, lang) {
+  const tokens = await countTokens(text.substring(unit.start, unit.end));
+  if (tokens <= budget || unit.end - unit.start < 2) return [{ ...unit, tokens }];
+
+  const pieces = Math.ceil(tokens / budget);
+  const cuts = [unit.start];
+  for (let k = 1; k < pieces; k++) {
+    const at = unit.start + Math.floor(((unit.end - unit.start) * k) / pieces);
+    const boundary = wordBoundaryBefore(text, at, cuts[cuts.length - 1], lang);
+    cuts.push(boundary !== -1 ? boundary : at);
+  }
+  cuts.push(unit.end);
+
+  const fitted = [];
+  for (let k = 0; k + 1 < cuts.length; k++) {
+    const p = sliceChunk(text, cuts[k], cuts[k + 1]);
+    if (!p.text) continue;
+    const part = { start: p.start, end: p.end, paragraphStart: k === 0 && unit.paragraphStart };
+    fitted.push(...await fitUnit(text, part, countTokens, budget, lang));
+  }
+  return fitted;
+}
+
+/**
+ * Packs units into chunks of about `targetTokens`, carrying trailing units over as overlap.
+ * A chunk that reached PARAGRAPH_FILL of its target ends at the next paragraph start rather
+ * than cutting the paragraph. The size of every chunk is checked with `measure` (the exact
+ * text that will be embedded); while it is over `maxTokens`, trailing units are moved to the
+ * next chunk, then the overlap is dropped.
+ * @param {Array<Unit>} units - Units in document order, each within the target
+ * @param {Object} opts
+ * @param {Function} opts.render - (units) => Chunk
+ * @returns {Promise<Array<Chunk>>}
+ */
+async function packUnits(units, { targetTokens, overlapTokens, maxTokens, measure, render }) {
+  const chunks = [];
+  let group = [];
+  // Units of `group` not emitted yet; the ones before them are the overlap.
+  let fresh = 0;
+  const total = (g) => g.reduce((n, u) => n + u.tokens, 0);
+
+  const emit = async () => {
+    let overlap = group.length - fresh;
+    let n = group.length;
+    let chunk = render(group);
+    while (await measure(chunk) > maxTokens) {
+      if (n > overlap + 1) {
+        n--;
+      } else if (overlap > 0) {
+        group = group.slice(overlap);
+        n -= overlap;
+        overlap = 0;
+      } else {
+        break;
+      }
+      chunk = render(group.slice(0, n));
+    }
+    chunks.push(chunk);
+
+    const emitted = group.slice(0, n);
+    const rest = group.slice(n);
+    const tail = [];
+    let tailTokens = 0;
+    for (let i = emitted.length - 1; i > 0; i--) {
+      if (tailTokens + emitted[i].tokens > overlapTokens) break;
+      tail.unshift(emitted[i]);
+      tailTokens += emitted[i].tokens;
+    }
+    group = [...tail, ...rest];
+    fresh = rest.length;
+  };
+
+  for (const unit of units) {
+    while (fresh > 0) {
+      const size = total(group);
+      const full = size + unit.tokens > targetTokens;
+      const paragraphEnd = unit.paragraphStart && size >= targetTokens * PARAGRAPH_FILL;
+      if (!full && !paragraphEnd) break;
+      await emit();
+    }
+    group.push(unit);
+    fresh++;
+  }
+  while (fresh > 0) await emit();
+  return chunks;
+}
+
+/**
+ * @typedef {Object} TokenChunking
+ * @property {number} targetTokens - Preferred chunk size in model tokens
+ * @property {number} overlapTokens - Maximum overlap between consecutive prose chunks
+ * @property {number} maxTokens - Hard limit on the embedded text of a chunk; must leave room
+ *   above the target for the section path prepended at embedding time
+ * @property {Function} [measure] - (chunk) => Promise<number>, tokens of the text embedded for
+ *   a chunk (defaults to its text alone)
+ * @property {string} [language="en"] - Document language, for sentence and word segmentation
+ */
+
+/**
+ * Token-based prose chunker for chunkDocument: chunks are measured in model tokens, end on
+ * sentence boundaries (paragraph boundaries when close to the target) and never exceed the
+ * embedding batch limit, so no chunk has to be re-split at embedding time.
+ * @param {string} text - Full document text
+ * @param {Function} countTokens - (string) => Promise<number>, the model's tokenizer
+ * @param {TokenChunking} opts
+ * @returns {Function} (from, to) => Promise<Array<Chunk>>
+ */
+export function tokenProseChunker(text, countTokens, opts) {
+  const measure = opts.measure || ((c) => countTokens(c.text));
+  return async (from, to) => {
+    const units = [];
+    const lang = opts.language || "en";
+    for (const unit of sentenceUnits(text, from, to, lang)) {
+      units.push(...await fitUnit(text, unit, countTokens, opts.targetTokens, lang));
+    }
+    return packUnits(units, {
+      ...opts,
+      measure,
+      render: (group) => sliceChunk(text, group[0].start, group[group.length - 1].end),
+    });
+  };
+}
+
+/**
+ * Recursive structure-based prose chunker for chunkDocument: a chunk never crosses a section
+ * boundary; a section that fits the target is one chunk, a longer one is packed by whole
+ * paragraphs, and only paragraphs longer than the target are cut between sentences (then
+ * words). Chunks do not overlap: their edges are the document's own structure.
+ * @param {string} text - Full document text
+ * @param {Function} countTokens - (string) => Promise<number>, the model's tokenizer
+ * @param {TokenChunking & {sectionStarts: Array<number>}} opts - `sectionStarts`: offsets of
+ *   the section headings in `text`
+ * @returns {Function} (from, to) => Promise<Array<Chunk>>
+ */
+export function structureProseChunker(text, countTokens, opts) {
+  const measure = opts.measure || ((c) => countTokens(c.text));
+  const render = (group) => sliceChunk(text, group[0].start, group[group.length - 1].end);
+  const lang = opts.language || "en";
+  return async (from, to) => {
+    const bounds = [from, ...opts.sectionStarts.filter(o => o > from && o < to), to];
+    const chunks = [];
+    for (let i = 0; i + 1 < bounds.length; i++) {
+      const section = sliceChunk(text, bounds[i], bounds[i + 1]);
+      if (!section.text) continue;
+      if (await measure(section) <= opts.targetTokens) {
+        chunks.push(section);
+        continue;
+      }
+
+      const units = [];
+      const region = text.substring(bounds[i], bounds[i + 1]);
+      let cursor = 0;
+      for (const para of region.split(PARAGRAPH_BREAK)) {
+        const paraStart = bounds[i] + region.indexOf(para, cursor);
+        cursor = paraStart - bounds[i] + para.length;
+        const paragraph = sliceChunk(text, paraStart, paraStart + para.length);
+        if (!paragraph.text) continue;
+        const tokens = await countTokens(paragraph.text);
+        if (tokens <= opts.targetTokens) {
+          units.push({ start: paragraph.start, end: paragraph.end, tokens, paragraphStart: true });
+          continue;
+        }
+        for (const unit of sentenceUnits(text, paragraph.start, paragraph.end, lang)) {
+          units.push(...await fitUnit(text, unit, countTokens, opts.targetTokens, lang));
+        }
+      }
+      chunks.push(...await packUnits(units, { ...opts, overlapTokens: 0, measure, render }));
+    }
+    return chunks;
+  };
+}
+
+/**
+ * Semantic prose chunker for chunkDocument: chunk boundaries follow topic shifts.
+ *
+ * DESIGN RATIONALE:
+ * Size-based windows cut across topic changes and glue unrelated paragraphs together.
+ * Here consecutive sentence groups are embedded with the loaded model, and a new chunk starts
+ * where the cosine distance between neighbours is above a percentile of the distances of the
+ * region. The threshold adapts to each document: some are dense, others shift topic often.
+ * Segments longer than the target are packed like the token chunker, so the batch limit holds.
+ * @param {string} text - Full document text
+ * @param {Function} countTokens - (string) => Promise<number>, the model's tokenizer
+ * @param {Function} embed - (string) => Promise<Float32Array>, the model's embeddings
+ * @param {TokenChunking & {breakpointPercentile: number}} opts - `breakpointPercentile` (0-100):
+ *   the share of neighbour distances that do not start a new chunk
+ * @returns {Function} (from, to) => Promise<Array<Chunk>>
+ */
+export function semanticProseChunker(text, countTokens, embed, opts) {
+  const measure = opts.measure || ((c) => countTokens(c.text));
+  const render = (group) => sliceChunk(text, group[0].start, group[group.length - 1].end);
+  return async (from, to) => {
+    const lang = opts.language || "en";
+    const units = [];
+    for (const unit of sentenceUnits(text, from, to, lang)) {
+      units.push(...await fitUnit(text, unit, countTokens, opts.targetTokens, lang));
+    }
+
+    // Very short sentences (headings, list items) say little on their own: group them,
+    // without crossing paragraph boundaries.
+    const groups = [];
+    let pending = [];
+    for (const unit of units) {
+      if (unit.paragraphStart && pending.length > 0) {
+        groups.push(pending);
+        pending = [];
+      }
+      pending.push(unit);
+      if (pending.reduce((n, u) => n + u.tokens, 0) >= MIN_SEMANTIC_GROUP) {
+        groups.push(pending);
+        pending = [];
+      }
+    }
+    if (pending.length > 0) {
+      if (groups.length > 0) groups[groups.length - 1].push(...pending); else groups.push(pending);
+    }
+
+    const segments = [];
+    if (groups.length < MIN_SEMANTIC_GROUPS) {
+      segments.push(groups.flat());
+    } else {
+      const vectors = [];
+      for (const g of groups) vectors.push(await embed(text.substring(g[0].start, g[g.length - 1].end)));
+      const distances = vectors.slice(1).map((v, i) => 1 - cosineSimilarity(vectors[i], v));
+      const sorted = [...distances].sort((a, b) => a - b);
+      const threshold = sorted[Math.min(sorted.length - 1, Math.floor((sorted.length * opts.breakpointPercentile) / 100))];
+      segments.push([...groups[0]]);
+      distances.forEach((d, i) => {
+        if (d > threshold) segments.push([]);
+        segments[segments.length - 1].push(...groups[i + 1]);
+      });
+    }
+
+    const chunks = [];
+    for (const segment of segments.filter(seg => seg.length > 0)) {
+      chunks.push(...await packUnits(segment, { ...opts, overlapTokens: 0, measure, render }));
+    }
+    return chunks;
+  };
+}
+
+/**
+ * Token-based table chunker for chunkDocument: whole rows, with the header row (and its
+ * separator) repeated at the top of every chunk so each one can be read on its own. Sizes are
+ * measured in model tokens. Rows do not overlap.
+ * @param {string} text - Full document text
+ * @param {Function} countTokens - (string) => Promise<number>, the model's tokenizer
+ * @param {TokenChunking} opts
+ * @returns {Function} (start, end) => Promise<Array<Chunk>>
+ */
+export function tokenTableChunker(text, countTokens, opts) {
+  const measure = opts.measure || ((c) => countTokens(c.text));
+  return async (start, end) => {
+    const lines = [];
+    let offset = start;
+    for (const line of text.substring(start, end).split("\n")) {
+      lines.push({ start: offset, end: offset + line.length });
+      offset += line.length + 1;
+    }
+    const headerText = text.substring(start, lines[Math.min(1, lines.length - 1)].end);
+    const headerTokens = await countTokens(headerText);
+    const rows = [];
+    for (const line of lines.slice(2)) {
+      // +1 for the newline joining the row to the previous one.
+      rows.push({ ...line, tokens: await countTokens(text.substring(line.start, line.end)) + 1 });
+    }
+    if (rows.length === 0) return [{ text: headerText, start, end, table: true }];
+
+    return packUnits(rows, {
+      targetTokens: Math.max(1, opts.targetTokens - headerTokens),
+      overlapTokens: 0,
+      maxTokens: opts.maxTokens,
+      measure,
+      render: (group) => ({
+        text: [headerText, ...group.map(r => text.substring(r.start, r.end))].join("\n"),
+        // The first chunk starts at the real header; later ones at their first row.
+        start: group[0] === rows[0] ? start : group[0].start,
+        end: group[group.length - 1].end,
+        table: true,
+      }),
+    });
+  };
+}
+
+/**
+ * Sets the page range of each chunk from its offsets.
+ * @param {Array<Chunk>} chunks - Chunks with document offsets (mutated)
+ * @param {Array<number>} pageStarts - Offset of the first character of each page (page 1 first)
+ * @param {string} source - Name of the source document
+ * @returns {Array<Chunk>} The same chunks
+ */
+export function assignPages(chunks, pageStarts, source) {
+  const pageAt = (offset) => {
+    // Binary search for the last page starting at or before the offset.
+    let lo = 0;
+    let hi = pageStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (pageStarts[mid] <= offset) lo = mid; else hi = mid - 1;
+    }
+    return lo + 1;
+  };
+  for (const c of chunks) {
+    c.source = source;
+    c.pageStart = pageAt(c.start);
+    c.pageEnd = pageAt(Math.max(c.start, c.end - 1));
+  }
+  return chunks;
+}
+
+/**
+ * Formats the page range of a chunk for citations ("p. 12", "pp. 12–13"), followed by the
+ * pages of its collapsed copies ("p. 2 (also p. 5, 9)").
+ * @param {Chunk} chunk
+ * @returns {string} Empty when the page is unknown
+ */
+export function pageLabel(chunk) {
+  if (!chunk.pageStart) return "";
+  const label = chunk.pageEnd && chunk.pageEnd !== chunk.pageStart
+    ? `pp. ${chunk.pageStart}–${chunk.pageEnd}`
+    : `p. ${chunk.pageStart}`;
+  const also = [...new Set((chunk.duplicates || []).map(d => d.pageStart))]
+    .filter(p => p && p !== chunk.pageStart)
+    .sort((a, b) => a - b);
+  return also.length > 0 ? `${label} (also p. ${also.join(", ")})` : label;
+}
+
+/**
+ * Brings chunks stored before page tracking (plain strings) to the chunk shape.
+ * @param {Array<Chunk|string>} chunks
+ * @returns {Array<Chunk>}
+ */
+export function normalizeChunks(chunks) {
+  return chunks.map(c => typeof c === "string" ? { text: c } : c);
+}
@@ -0,0 +1,99 @@
+/**
+ * @file db.js
+ * @description Minimal promise-based IndexedDB wrapper used to persist RAG indexes and chat sessions locally.
+ * @author Warith Harchaoui
+ */
+
+const DB_NAME = "web-browser-llm-rag";
+const DB_VERSION = 2;
+
+/** Object store holding indexed documents (chunks + embeddings). */
+export const STORE_DOCUMENTS = "documents";
+/** Object store holding chat sessions (history, system prompt, attached documents). */
+export const STORE_SESSIONS = "sessions";
+
+/** @type {Promise<IDBDatabase>|null} Lazily opened, shared connection */
+let dbPromise = null;
+
+/**
+ * Opens (and upgrades if needed) the application database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE_DOCUMENTS)) {
+        db.createObjectStore(STORE_DOCUMENTS, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(STORE_SESSIONS)) {
+        db.createObjectStore(STORE_SESSIONS, { keyPath: "id" });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+  });
+  return dbPromise;
+}
+
+/**
+ * Runs a single request against an object store and resolves with its result.
+ * @param {string} storeName - Target object store
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {Function} fn - Receives the store and returns an IDBRequest
+ * @returns {Promise<any>}
+ */
+async function withStore(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/** Inserts or replaces a record. */
+export function dbPut(storeName, value) {
+  return withStore(storeName, "readwrite", (store) => store.put(value));
+}
+
+/** Fetches a record by key (undefined if missing). */
+export function dbGet(storeName, key) {
+  return withStore(storeName, "readonly", (store) => store.get(key));
+}
+
+/** Fetches every record of a store. */
+export function dbGetAll(storeName) {
+  return withStore(storeName, "readonly", (store) => store.getAll());
+}
+
+/** Deletes a record by key. */
+export function dbDelete(storeName, key) {
+  return withStore(storeName, "readwrite", (store) => store.delete(key));
+}
+
+/**
+ * Computes a SHA-256 content hash of a file.
+ * Two uploads of the same bytes (even under different names) map to the same index.
+ * @param {ArrayBuffer} buffer - Raw file content
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export async function hashBuffer(buffer) {
+  const digest = await crypto.subtle.digest("SHA-256", buffer);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Builds the storage key of an index.
+ * Embeddings are only meaningful for the model that produced them, hence the model URL in the key.
+ */
+export function documentKey(fileHash, modelUrl) {
+  return `${fileHash}::${modelUrl}`;
+}
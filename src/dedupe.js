@@ -0,0 +1,145 @@
+/**
+ * @file dedupe.js
+ * @description Detection of exact and near-duplicate chunks at indexing time.
+ *
+ * DESIGN RATIONALE:
+ * Legal footers, disclaimers and slide templates repeat on many pages; indexed as is, they fill
+ * the index with identical chunks that crowd the real hits out of the top ranks. Exact copies
+ * are found by hashing their normalized text. Near copies (a page number or a date changes)
+ * are found by comparing word shingles: MinHash signatures split into bands propose candidate
+ * pairs without comparing every pair of chunks, and the Jaccard similarity of the shingle sets
+ * confirms them. Duplicates are collapsed into their first occurrence, which keeps the
+ * locations of the others, before embedding (so they are not embedded either).
+ * @author Warith Harchaoui
+ */
+
+/** Words per shingle. */
+const SHINGLE_SIZE = 3;
+/**
+ * Chunks whose shingle sets are at least this similar (Jaccard) are near-duplicates. A changed
+ * word alters up to SHINGLE_SIZE shingles, so a 30-word footer whose page number changes
+ * scores about 0.82.
+ */
+const NEAR_DUPLICATE_JACCARD = 0.8;
+/** MinHash signature length, split into BANDS bands of equal size. */
+const SIGNATURE_SIZE = 32;
+/** With 8 bands of 4 hashes, pairs at 0.8 Jaccard are candidates with a probability over 98%. */
+const BANDS = 8;
+
+/** Per-position seeds of the MinHash functions (fixed, so results are reproducible). */
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => Math.imul(i + 1, 0x9e3779b1));
+
+/** Text compared for duplicates: case, punctuation and spacing do not count. */
+function normalize(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+/** 32-bit FNV-1a hash of a string. */
+function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/** Mixes a hash with a seed into an independent-looking 32-bit value (murmur3 finalizer). */
+function mix(h, seed) {
+  let x = (h ^ seed) >>> 0;
+  x = Math.imul(x ^ (x >>> 16), 0x85ebca6b);
+  x = Math.imul(x ^ (x >>> 13), 0xc2b2ae35);
+  return (x ^ (x >>> 16)) >>> 0;
+}
+
+/** Hashes of the word shingles of a normalized text (the whole text when it is shorter). */
+function shingles(normalized) {
+  const words = normalized.split(" ");
+  const set = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    set.add(hashString(words.slice(i, i + SHINGLE_SIZE).join(" ")));
+  }
+  if (set.size === 0) set.add(hashString(normalized));
+  return set;
+}
+
+/** MinHash signature of a shingle set. */
+function signature(set) {
+  const sig = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  for (const h of set) {
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const v = mix(h, SEEDS[i]);
+      if (v < sig[i]) sig[i] = v;
+    }
+  }
+  return sig;
+}
+
+/** Jaccard similarity of two sets. */
+function jaccard(a, b) {
+  let shared = 0;
+  for (const h of a) if (b.has(h)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Collapses exact and near-duplicate chunks into their first occurrence.
+ * The kept chunk lists the locations of the copies in `duplicates` (offsets, pages, section);
+ * prose and table chunks are never merged with each other.
+ * @param {Array<Object>} chunks - Chunks in document order, with pages and sections assigned
+ * @returns {{chunks: Array<Object>, merged: number}} The kept chunks, and how many were merged
+ *   into them
+ */
+export function collapseDuplicates(chunks) {
+  const rowsPerBand = SIGNATURE_SIZE / BANDS;
+  /** @type {Map<string, number>} Normalized text (and kind) -> index in `kept` */
+  const exact = new Map();
+  /** @type {Map<string, Array<number>>} Band key -> indexes in `kept` */
+  const buckets = new Map();
+  const kept = [];
+  const sets = [];
+  let merged = 0;
+
+  const collapse = (into, chunk) => {
+    into.duplicates = [...(into.duplicates || []), {
+      start: chunk.start,
+      end: chunk.end,
+      pageStart: chunk.pageStart,
+      pageEnd: chunk.pageEnd,
+      ...(chunk.section ? { section: chunk.section } : {}),
+    }];
+    merged++;
+  };
+
+  for (const chunk of chunks) {
+    const normalized = normalize(chunk.text);
+    const kind = chunk.table ? "table" : "prose";
+    const key = `${kind}:${normalized}`;
+    if (exact.has(key)) {
+      collapse(kept[exact.get(key)], chunk);
+      continue;
+    }
+
+    const set = shingles(normalized);
+    const sig = signature(set);
+    const bandKeys = [];
+    for (let b = 0; b < BANDS; b++) {
+      bandKeys.push(`${kind}:${b}:${sig.slice(b * rowsPerBand, (b + 1) * rowsPerBand).join(",")}`);
+    }
+    const candidates = new Set(bandKeys.flatMap(k => buckets.get(k) || []));
+    const match = [...candidates].sort((a, b) => a - b).find(i => jaccard(set, sets[i]) >= NEAR_DUPLICATE_JACCARD);
+    if (match !== undefined) {
+      collapse(kept[match], chunk);
+      continue;
+    }
+
+    const index = kept.length;
+    kept.push(chunk);
+    sets.push(set);
+    exact.set(key, index);
+    for (const k of bandKeys) {
+      if (!buckets.has(k)) buckets.set(k, []);
+      buckets.get(k).push(index);
+    }
+  }
+  return { chunks: kept, merged };
+}
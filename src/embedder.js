@@ -0,0 +1,85 @@
+/**
+ * @file embedder.js
+ * @description The model that turns text into vectors for retrieval: either the chat model
+ * itself, or a dedicated embedding GGUF (BERT, nomic-embed, bge…) in its own Wllama instance.
+ *
+ * DESIGN RATIONALE:
+ * Sharing the chat model forces every retrieval to toggle it between embedding and generation
+ * modes, and ties the document indexes to it: switching chat models makes them unusable until
+ * the PDFs are re-uploaded. A small dedicated encoder is faster, usually retrieves better, and
+ * stays loaded when the chat model changes, so indexes (keyed by the embedding model, see
+ * documentKey) remain valid. Both kinds expose the same interface to the rest of the app.
+ * @author Warith Harchaoui
+ */
+import { Wllama, LoggerWithoutDebug } from "@wllama/wllama";
+import { modelFingerprint } from "./index-file.js";
+
+/**
+ * Context of a dedicated embedding model. Encoders are trained on 512 tokens, and chunks are
+ * held well under that (see MAX_CHUNK_TOKENS in main.js). Non-causal models must see a whole
+ * input in one physical batch, hence n_ubatch = n_ctx.
+ */
+const EMBEDDING_N_CTX = 512;
+
+/**
+ * @typedef {Object} Embedder
+ * @property {string} modelUrl - Model producing the embeddings; indexes are keyed by it
+ * @property {string} fingerprint - Fingerprint of that model (see index-file.js)
+ * @property {number} dim - Embedding dimension
+ * @property {boolean} dedicated - True for a separate embedding model
+ * @property {Function} embed - (text) => Promise<Float32Array>
+ * @property {Function} countTokens - (text) => Promise<number>, with the embedding tokenizer
+ * @property {Function} exit - Unloads a dedicated model (no-op for the chat model)
+ */
+
+/**
+ * Uses the loaded chat model for embeddings, switching it to embedding mode on each call
+ * (chat turns switch it back before generating). Texts are tokenized by createEmbedding, as
+ * for a dedicated model.
+ * @param {Object} wllama - Chat model instance
+ * @param {string} modelUrl - Chat model URL
+ * @param {string} fingerprint - Chat model fingerprint
+ * @returns {Embedder}
+ */
+export function sharedEmbedder(wllama, modelUrl, fingerprint) {
+  return {
+    modelUrl,
+    fingerprint,
+    dim: wllama.getModelMetadata().hparams.nEmbd,
+    dedicated: false,
+    embed: async (text) => {
+      await wllama.setOptions({ embeddings: true });
+      return Float32Array.from(await wllama.createEmbedding(text));
+    },
+    countTokens: async (text) => (await wllama.tokenize(text)).length,
+    exit: async () => {},
+  };
+}
+
+/**
+ * Loads a dedicated embedding model in its own Wllama instance.
+ * @param {Object} assets - Wllama WASM asset paths
+ * @param {string} modelUrl - URL of the embedding GGUF
+ * @returns {Promise<Embedder>}
+ */
+export async function loadEmbedder(assets, modelUrl) {
+  const wllama = new Wllama(assets, { logger: LoggerWithoutDebug, allowOffline: true });
+  const url = modelUrl.startsWith("/") ? new URL(modelUrl, window.location.origin).href : modelUrl;
+  await wllama.loadModelFromUrl(url, {
+    n_ctx: EMBEDDING_N_CTX,
+    n_batch: EMBEDDING_N_CTX,
+    n_ubatch: EMBEDDING_N_CTX,
+    embeddings: true,
+  });
+
+  return {
+    modelUrl,
+    fingerprint: await modelFingerprint(wllama),
+    dim: wllama.getModelMetadata().hparams.nEmbd,
+    dedicated: true,
+    // createEmbedding tokenizes the text and adds the BOS/EOS tokens that BERT-style encoders pool on.
+    embed: async (text) => Float32Array.from(await wllama.createEmbedding(text)),
+    countTokens: async (text) => (await wllama.tokenize(text)).length,
+    exit: () => wllama.exit(),
+  };
+}
@@ -0,0 +1,34 @@
+/**
+ * @file files.js
+ * @description Small helpers to save and read user files (exports and imports) in the browser.
+ * @author Warith Harchaoui
+ */
+
+/**
+ * Triggers a browser download of some content.
+ * @param {string} filename - Suggested file name
+ * @param {Blob|string} content - File content
+ * @param {string} [type] - MIME type used when content is a string
+ */
+export function downloadFile(filename, content, type = "text/plain;charset=utf-8") {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // Give the browser a moment to start the download before releasing the blob.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Turns an arbitrary title into a safe file name stem.
+ * @param {string} name - Title (session name, document name…)
+ * @returns {string}
+ */
+export function safeFilename(name) {
+  const stem = name.replace(/[\\/:*?"<>|]+/g, "_").replace(/\s+/g, " ").trim();
+  return stem.slice(0, 80) || "untitled";
+}
@@ -0,0 +1,157 @@
+/**
+ * @file index-file.js
+ * @description Portable file format (.ragidx) to share an indexed document between machines.
+ *
+ * LAYOUT (little-endian):
+ * - 8 bytes   magic "WLRAGIDX"
+ * - uint32    format version
+ * - uint32    header length in bytes
+ * - header    UTF-8 JSON (document, model, embedding and chunking metadata, chunk texts)
+ * - padding   zero bytes up to a 4-byte boundary
+ * - float32[] embeddings, packed row by row (count × dim)
+ *
+ * Embedding a large PDF on a laptop CPU is slow; colleagues using the same GGUF model can
+ * import this file instead of re-embedding. Embeddings are only comparable when produced by
+ * the same model, so the header carries a fingerprint of the model that built them.
+ * @author Warith Harchaoui
+ */
+import { hashBuffer } from "./db.js";
+
+const MAGIC = "WLRAGIDX";
+export const INDEX_FILE_VERSION = 1;
+export const INDEX_FILE_EXTENSION = ".ragidx";
+
+/**
+ * Computes a fingerprint of the loaded model from its GGUF metadata and hyper-parameters.
+ * Cheaper than hashing a multi-GB file, and stable across renames and hosting URLs.
+ * @param {Object} wllama - A Wllama instance with a loaded model
+ * @returns {Promise<string>} Hex SHA-256 digest
+ */
+export async function modelFingerprint(wllama) {
+  const { hparams, meta } = wllama.getModelMetadata();
+  const sortedMeta = Object.fromEntries(Object.entries(meta).sort(([a], [b]) => a.localeCompare(b)));
+  const bytes = new TextEncoder().encode(JSON.stringify({ hparams, meta: sortedMeta }));
+  return hashBuffer(bytes);
+}
+
+/**
+ * Serializes a library document into the portable format.
+ * @param {Object} doc - Library record (name, fileHash, chunks, embeddings, modelUrl, chunking)
+ * @param {string} fingerprint - Fingerprint of the model that produced the embeddings
+ * @returns {Blob}
+ */
+export function encodeIndexFile(doc, fingerprint) {
+  const dim = doc.embeddings[0]?.length ?? 0;
+  const header = {
+    document: { name: doc.name, fileHash: doc.fileHash },
+    model: { url: doc.modelUrl, fingerprint },
+    embedding: { dim, count: doc.embeddings.length },
+    chunking: doc.chunking ?? null,
+    // Page, section and table metadata are optional: null when the document was indexed
+    // without them. The table flag keeps passage expansion from joining tables to prose.
+    chunks: doc.chunks.map(c => ({
+      text: c.text,
+      table: c.table ?? null,
+      section: c.section ?? null,
+      pageStart: c.pageStart ?? null,
+      pageEnd: c.pageEnd ?? null,
+      start: c.start ?? null,
+      end: c.end ?? null,
+      duplicates: c.duplicates ?? null,
+    })),
+  };
+  const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+  const headerEnd = 16 + headerBytes.length;
+  const dataOffset = Math.ceil(headerEnd / 4) * 4;
+
+  const buffer = new ArrayBuffer(dataOffset + doc.embeddings.length * dim * 4);
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  bytes.set(new TextEncoder().encode(MAGIC), 0);
+  view.setUint32(8, INDEX_FILE_VERSION, true);
+  view.setUint32(12, headerBytes.length, true);
+  bytes.set(headerBytes, 16);
+
+  doc.embeddings.forEach((emb, row) => {
+    for (let i = 0; i < dim; i++) {
+      view.setFloat32(dataOffset + (row * dim + i) * 4, emb[i], true);
+    }
+  });
+  return new Blob([buffer], { type: "application/octet-stream" });
+}
+
+/**
+ * Checks the fields of a decoded header that the import relies on.
+ * @param {*} header
+ * @returns {boolean}
+ */
+function isValidHeader(header) {
+  const isCount = (n) => Number.isInteger(n) && n >= 0;
+  return typeof header?.document?.name === "string" &&
+    typeof header.document.fileHash === "string" &&
+    typeof header.model?.url === "string" &&
+    typeof header.model.fingerprint === "string" &&
+    isCount(header.embedding?.dim) &&
+    isCount(header.embedding.count) &&
+    Array.isArray(header.chunks) &&
+    header.chunks.every(c => typeof c?.text === "string" && (c.table == null || typeof c.table === "boolean"));
+}
+
+/**
+ * Parses a portable index file.
+ * @param {ArrayBuffer} buffer - File content
+ * @returns {{header: Object, embeddings: Array<Float32Array>}}
+ * @throws {Error} If the file is not a valid index file
+ */
+export function decodeIndexFile(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 16 || new TextDecoder().decode(buffer.slice(0, 8)) !== MAGIC) {
+    throw new Error("Not a RAG index file.");
+  }
+  const version = view.getUint32(8, true);
+  if (version > INDEX_FILE_VERSION) {
+    throw new Error(`Unsupported index file version ${version}.`);
+  }
+
+  const corrupt = () => new Error("Index file is truncated or corrupt.");
+  const headerLength = view.getUint32(12, true);
+  let header;
+  try {
+    header = JSON.parse(new TextDecoder().decode(buffer.slice(16, 16 + headerLength)));
+  } catch {
+    throw corrupt();
+  }
+  if (!isValidHeader(header)) throw corrupt();
+  const { dim, count } = header.embedding;
+  const dataOffset = Math.ceil((16 + headerLength) / 4) * 4;
+  if (header.chunks.length !== count || buffer.byteLength < dataOffset + count * dim * 4) {
+    throw corrupt();
+  }
+
+  const embeddings = [];
+  for (let row = 0; row < count; row++) {
+    const emb = new Float32Array(dim);
+    for (let i = 0; i < dim; i++) {
+      emb[i] = view.getFloat32(dataOffset + (row * dim + i) * 4, true);
+    }
+    embeddings.push(emb);
+  }
+  return { header, embeddings };
+}
+
+/**
+ * Checks that an index file can be used with the loaded model.
+ * @param {Object} header - Decoded header
+ * @param {string} fingerprint - Fingerprint of the loaded model
+ * @param {number} dim - Embedding dimension of the loaded model
+ * @throws {Error} When the model does not match
+ */
+export function assertCompatible(header, fingerprint, dim) {
+  if (header.model.fingerprint !== fingerprint) {
+    const name = header.model.url.split("/").pop();
+    throw new Error(`This index was built with another model (${name}). Load that model to import it.`);
+  }
+  if (header.embedding.dim !== dim) {
+    throw new Error(`Embedding dimension mismatch (file: ${header.embedding.dim}, model: ${dim}).`);
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * @file library.js
+ * @description Multi-document RAG library: the collection of indexed PDFs available to retrieval.
+ * Every entry is an IndexedDB "documents" record; only the indexes built with the active
+ * model are kept in memory, since embeddings from another model are not comparable.
+ * @author Warith Harchaoui
+ */
+import { STORE_DOCUMENTS, dbPut, dbGetAll, dbDelete } from "./db.js";
+import { normalizeChunks } from "./chunking.js";
+
+/** @type {Array<Object>} Indexes built with the active model, oldest first */
+let documents = [];
+
+/** Returns every document of the library. */
+export function getDocuments() {
+  return documents;
+}
+
+/**
+ * Returns the documents that retrieval should search.
+ * @param {Array<string>} docHashes - Content hashes of the documents enabled in the current session
+ */
+export function getEnabledDocuments(docHashes) {
+  return documents.filter(d => docHashes.includes(d.fileHash) && d.embeddings.length > 0);
+}
+
+/**
+ * Reloads the library for a given model.
+ * @param {string} modelUrl - The model the embeddings must have been produced with
+ * @returns {Promise<{documents: Array, staleNames: Array<string>}>} The usable documents, and
+ *   the names of files only indexed with other models (they need a re-upload).
+ */
+export async function loadLibrary(modelUrl) {
+  const records = await dbGetAll(STORE_DOCUMENTS);
+  records.sort((a, b) => a.createdAt - b.createdAt);
+
+  documents = records
+    .filter(r => r.modelUrl === modelUrl)
+    .map(r => ({ ...r, chunks: normalizeChunks(r.chunks) }));
+
+  const indexed = new Set(documents.map(d => d.fileHash));
+  const staleNames = [...new Map(records
+    .filter(r => !indexed.has(r.fileHash))
+    .map(r => [r.fileHash, r.name])).values()];
+
+  return { documents, staleNames };
+}
+
+/**
+ * Adds (or replaces) a document in the library and persists it.
+ * Without IndexedDB (e.g. some private modes) the document is still usable until the page
+ * is closed.
+ * @param {Object} record - Document record, keyed by `documentKey(fileHash, modelUrl)`
+ * @returns {Promise<boolean>} Whether the document could be persisted
+ */
+export async function addDocument(record) {
+  documents = documents.filter(d => d.id !== record.id).concat(record);
+  try {
+    await dbPut(STORE_DOCUMENTS, record);
+    return true;
+  } catch (err) {
+    console.warn(`Could not store the index of ${record.name}:`, err);
+    return false;
+  }
+}
+
+/**
+ * Removes a document from the library, including its indexes for other models.
+ * @param {string} id - Record key
+ */
+export async function removeDocument(id) {
+  const doc = documents.find(d => d.id === id);
+  if (!doc) return;
+  documents = documents.filter(d => d.id !== id);
+  try {
+    const records = await dbGetAll(STORE_DOCUMENTS);
+    for (const r of records.filter(r => r.fileHash === doc.fileHash)) {
+      await dbDelete(STORE_DOCUMENTS, r.id);
+    }
+  } catch (err) {
+    console.warn(`Could not delete the stored index of ${doc.name}:`, err);
+  }
+}
@@ -5,6 +5,37 @@
  */
 import { Wllama, LoggerWithoutDebug } from "@wllama/wllama";
 import * as pdfjsLib from "pdfjs-dist";
+import { STORE_DOCUMENTS, dbGet, dbGetAll, hashBuffer, documentKey } from "./db.js";
+import { getDocuments, getEnabledDocuments, loadLibrary, addDocument, removeDocument } from "./library.js";
+import { toMarkdown, toJSON, fromJSON, sourceLabel } from "./transcript.js";
+import { downloadFile, safeFilename } from "./files.js";
+import { buildBm25Index } from "./bm25.js";
+import { chunkDocument, assignPages, pageLabel } from "./chunking.js";
+import {
+  CHUNKING_STRATEGIES, defaultParams, normalizeChunking, createChunkers, loadLastChunking, saveLastChunking,
+} from "./chunking-strategies.js";
+import { extractPageLayout, stripRepeatedMargins, linesToText, extractTables, tableToMarkdown } from "./pdf-text.js";
+import {
+  readOutline, markOutlineHeadings, annotateBoldLines, markInferredHeadings, sectionLookup, assignSections,
+  embeddingText,
+} from "./sections.js";
+import { needsOcr, createOcrEngine } from "./ocr.js";
+import { openPdf, emptyDocumentMessage, formatPageList } from "./pdf-open.js";
+import { detectLanguage } from "./segmentation.js";
+import { rankFragments, filterRelevant, selectMmr, expandHits, passageText } from "./retrieval.js";
+import { collapseDuplicates } from "./dedupe.js";
+import { sharedEmbedder, loadEmbedder } from "./embedder.js";
+import { settings, saveSettings, bindSettingsInputs } from "./settings.js";
+import { rewriteQuery } from "./query-rewrite.js";
+import { assemblePrompt } from "./prompt.js";
+import { compactHistory } from "./memory.js";
+import {
+  INDEX_FILE_EXTENSION, modelFingerprint, encodeIndexFile, decodeIndexFile, assertCompatible,
+} from "./index-file.js";
+import {
+  DEFAULT_SESSION_NAME, createSession, listSessions, saveSession, deleteSession,
+  getActiveSessionId, setActiveSessionId,
+} from "./sessions.js";
 
 // Set PDF.js worker path to a stable static location
 pdfjsLib.GlobalWorkerOptions.workerSrc = "/wllama/pdf.worker.min.mjs";
@@ -25,6 +56,36 @@ const WLLAMA_ASSETS = {
 /** Default model path. TinyLlama-1.1B is ideal for browser memory limits. */
 const MODEL_URL = "/models/tinyllama-q4.gguf";
 
+/** Generation settings for chat answers. They are recorded with each answer for exports. */
+const GENERATION_PARAMS = {
+  nPredict: 512,       // Limit response to prevent excessive resource usage.
+  sampling: {
+    temp: 0.2,         // Lower temperature for more factual/predictable answers.
+    top_p: 0.9,
+    penalty_repeat: 1.1
+  },
+};
+
+/**
+ * Hard limit on the embedded text of a chunk, in model tokens, whatever the chunking strategy.
+ * Well under the 512-token physical batch limit; the margin above the largest target size
+ * absorbs the section path prepended at embedding time.
+ */
+const MAX_CHUNK_TOKENS = 300;
+
+/** Context window size (tokens). 2048 handles conversational history + RAG. */
+const N_CTX = 2048;
+
+/** Injected instead of fragments when nothing passes the relevance threshold ("tell" policy). */
+const NO_MATCH_CONTEXT = "\nNote: the provided documents contain no passage relevant to this question. " +
+  "If the answer depends on them, say that it is not in the documents.\n";
+
+/** Settings of the non-streaming fallback used when a stream yields no text. */
+const FALLBACK_PARAMS = {
+  nPredict: 128,
+  sampling: { temp: 0.1 },
+};
+
 // --- DOM Elements ---
 const chatEl = document.getElementById("chat");
 const inputEl = document.getElementById("input");
@@ -34,38 +95,53 @@ const btnStop = document.getElementById("btnStop");
 const btnUploadPdf = document.getElementById("btnUploadPdf");
 const pdfInput = document.getElementById("pdfInput");
 const modelSelector = document.getElementById("modelSelector");
+const embeddingSelector = document.getElementById("embeddingSelector");
+const docListEl = document.getElementById("docList");
+const sessionListEl = document.getElementById("sessionList");
+const btnNewSession = document.getElementById("btnNewSession");
+const systemPromptEl = document.getElementById("systemPrompt");
+const btnExportMd = document.getElementById("btnExportMd");
+const btnExportJson = document.getElementById("btnExportJson");
+const btnImportJson = document.getElementById("btnImportJson");
+const jsonInput = document.getElementById("jsonInput");
+const btnImportIndex = document.getElementById("btnImportIndex");
+const indexInput = document.getElementById("indexInput");
+const settingsPanel = document.getElementById("settingsPanel");
+const inspectorEl = document.getElementById("inspector");
+const ctxMeter = document.getElementById("ctxMeter");
+const ctxUsageEl = document.getElementById("ctxUsage");
+const summaryEl = document.getElementById("summary");
 const statusEl = document.getElementById("status");
 const warnEl = document.getElementById("warn");
+const chunkingDialog = document.getElementById("chunkingDialog");
+const chunkingTitleEl = document.getElementById("chunkingTitle");
+const chunkingStrategyEl = document.getElementById("chunkingStrategy");
+const chunkingDescriptionEl = document.getElementById("chunkingDescription");
+const chunkingParamsEl = document.getElementById("chunkingParams");
 
 // --- Global State ---
 /** @type {Wllama|null} The active LLM runtime */
 let wllama = null;
 /** @type {AbortController|null} For cancelling generation */
 let abortController = null;
+/** @type {boolean} True for the whole chat turn (memory, retrieval, generation, saving) */
+let turnRunning = false;
 /** @type {number} The current n_batch used by the engine */
 let activeNBatch = 1024;
+/** @type {string} Fingerprint of the loaded model (see index-file.js) */
+let activeFingerprint = "";
+/** @type {string} URL of the loaded chat model */
+let activeModelUrl = "";
+/** @type {Object|null} Model producing the embeddings: the chat model or a dedicated one (see embedder.js) */
+let embedder = null;
 
 /** 
- * Local RAG Database: Stores processed document fragments.
- * Embeddings are stored as Float32Array for high-speed similarity calculation.
+ * Active Chat Session.
+ * Holds the message history, the system prompt defining the assistant's persona,
+ * and the library documents attached to this conversation.
+ * @type {Object|null}
  */
-let docState = {
-  name: "",
-  chunks: [],         // Array of text fragments
-  embeddings: [],     // Array of vectors (Float32Array)
-  modelUrl: "",       // Model used to generate these embeddings
-};
-
-/** 
- * Chat Session History. 
- * Initialized with a system prompt to define the assistant's persona.
- */
-const messages = [
-  {
-    role: "system",
-    content: "You are a helpful assistant. Keep answers concise. If unsure, say you are unsure.",
-  },
-];
+let session = null;
 
 /** Updates the system status in the UI */
 function setStatus(s) {
@@ -87,6 +163,71 @@ function addMsg(role, text) {
   return div;
 }
 
+/** Appends the "no relevant passages found" indicator to the chat window */
+function addNoMatchNote() {
+  const div = document.createElement("div");
+  div.className = "note small";
+  div.textContent = "📭 No relevant passages found in the enabled documents.";
+  chatEl.appendChild(div);
+  chatEl.scrollTop = chatEl.scrollHeight;
+}
+
+/**
+ * Appends the list of sources an answer was grounded on to the chat window.
+ * @param {Array<Object>} sources - Sources recorded with the answer
+ */
+function addSources(sources) {
+  if (!sources?.length) return;
+  const div = document.createElement("div");
+  div.className = "note small";
+  div.textContent = `📄 Sources: ${sources.map(sourceLabel).join(" · ")}`;
+  chatEl.appendChild(div);
+  chatEl.scrollTop = chatEl.scrollHeight;
+}
+
+/**
+ * Shows the last retrieval in the inspector: the query actually searched and the
+ * best-ranked candidates, with the ones injected into the prompt marked.
+ * @param {string} question - The user's question
+ * @param {string} query - The (possibly rewritten) search query
+ * @param {Array<Object>} ranked - Candidates from rankFragments, best first
+ * @param {Array<Object>} selected - Fragments injected into the prompt
+ */
+function renderInspector(question, query, ranked, selected) {
+  inspectorEl.innerHTML = "";
+  const head = document.createElement("div");
+  head.textContent = query === question
+    ? `Search query: “${query}”`
+    : `Question: “${question}” → rewritten query: “${query}”`;
+  inspectorEl.appendChild(head);
+
+  const list = document.createElement("ol");
+  for (const c of ranked.slice(0, settings.mmrPoolSize)) {
+    const li = document.createElement("li");
+    const mark = selected.includes(c) ? "✅ " : "";
+    const chunk = c.doc.chunks[c.idx];
+    const excerpt = chunk.text.replace(/\s+/g, " ").slice(0, 100);
+    const where = [c.doc.name, pageLabel(chunk), chunk.section].filter(Boolean).join(", ");
+    li.textContent = `${mark}[${where}] cos=${c.score.toFixed(3)} bm25=${c.bm25.toFixed(2)} — ${excerpt}…`;
+    list.appendChild(li);
+  }
+  inspectorEl.appendChild(list);
+}
+
+/**
+ * Updates the context-usage meter with the token breakdown of the last prompt.
+ * @param {Object} usage - Usage returned by assemblePrompt
+ */
+function renderContextUsage(usage) {
+  ctxMeter.max = usage.nCtx;
+  ctxMeter.high = usage.nCtx - usage.nPredict;
+  ctxMeter.value = usage.total;
+  const dropped = usage.droppedMessages > 0 ? `, ${usage.droppedMessages} old message(s) left out` : "";
+  ctxUsageEl.textContent = `Context: ${usage.total} / ${usage.nCtx} tokens ` +
+    `(system ${usage.system}, history ${usage.history}, documents ${usage.documents}, ` +
+    `question ${usage.question}; ${usage.nPredict} reserved for the answer${dropped})`;
+}
+
 /**
  * Loads the LLM model into the WASM environment.
  * @param {number|null} forcedNBatch - Optional adaptive batch override.
@@ -132,12 +273,12 @@ async function loadModel(forcedNBatch = null) {
     }
 
     // Load the model weights and specify runtime parameters.
-    // - n_ctx: The context window size (2048 handles conversational history + RAG).
+    // - n_ctx: The context window size (N_CTX, shared with the prompt assembler's budget).
     // - n_batch: The logical token processing window.
     // - n_ubatch: The physical token processing window. MUST be matched to n_batch for adaptive stability.
-    // - embeddings: MUST be true to allow the .embeddings() call for RAG features.
+    // - embeddings: MUST be true for RAG when the chat model also computes the embeddings.
     await wllama.loadModelFromUrl(finalUrl, {
-      n_ctx: 2048,
+      n_ctx: N_CTX,
       n_batch: batchToUse,
       n_ubatch: batchToUse,
       offload_kqv: false,
@@ -147,13 +288,13 @@ async function loadModel(forcedNBatch = null) {
     const isolated = self.crossOriginIsolated ? "yes" : "no";
     const mt = wllama.isMultithread?.() ? "multi-thread" : "single-thread";
     setStatus(`Model ready (Isolated=${isolated}, Runtime=${mt}) ✅`);
+    activeFingerprint = await modelFingerprint(wllama);
+    activeModelUrl = modelUrl;
     window.wllama_debug = wllama; // DEBUG HOOK
 
-    // If a document was already loaded, its embeddings are now invalid
-    if (docState.chunks.length > 0 && docState.modelUrl !== modelUrl) {
-      docState.embeddings = [];
-      setWarn("⚠️ Model switched. Please re-upload your PDF to re-index it for the new model.");
-    }
+    // A dedicated embedding model stays loaded across chat model switches, and so do the
+    // indexes built with it; otherwise the library follows the chat model.
+    await setupEmbedder();
 
     btnSend.disabled = false;
     inputEl.focus();
@@ -166,6 +307,33 @@ async function loadModel(forcedNBatch = null) {
   }
 }
 
+/**
+ * Sets up the embedding model chosen in the embedding selector, then reloads the library with
+ * the indexes it built. Falls back to the chat model when the dedicated one cannot be loaded.
+ */
+async function setupEmbedder() {
+  const wanted = settings.embeddingModel;
+  if (wanted && embedder?.dedicated && embedder.modelUrl === wanted) {
+    await refreshLibrary(embedder.modelUrl);
+    return;
+  }
+
+  await embedder?.exit();
+  embedder = sharedEmbedder(wllama, activeModelUrl, activeFingerprint);
+  if (wanted) {
+    try {
+      setStatus(`Loading embedding model ${wanted}…`);
+      embedder = await loadEmbedder(WLLAMA_ASSETS, wanted);
+      setStatus(`Embedding model ready (${embedder.dim} dimensions) ✅`);
+    } catch (err) {
+      console.error(err);
+      setWarn(`Embedding model failed to load (${err.message}); the chat model is used for embeddings.`);
+    }
+  }
+  // Embeddings are model-specific: reload the library with the indexes built for this model.
+  await refreshLibrary(embedder.modelUrl);
+}
+
 /**
  * Refreshes the model list from the server.
  */
@@ -175,83 +343,291 @@ async function refreshModelList() {
     if (resp.ok) {
       const list = await resp.json();
       if (list && list.length > 0) {
-        modelSelector.innerHTML = list.map(m => {
+        const options = list.map(m => {
           const name = m.split("/").pop().replace(".gguf", "");
           return `<option value="${m}">${name}</option>`;
         }).join("");
+        modelSelector.innerHTML = options;
+        embeddingSelector.innerHTML = `<option value="">Embeddings: chat model</option>${options}`;
       }
     }
   } catch (e) {
     console.warn("Could not fetch models:", e);
   }
+  // The stored choice is only kept while the model is still available.
+  embeddingSelector.value = settings.embeddingModel;
+  if (embeddingSelector.value !== settings.embeddingModel) embeddingSelector.value = "";
 }
 
-btnLoad.onclick = loadModel;
-window.addEventListener("DOMContentLoaded", async () => {
-  await refreshModelList();
-  await loadModel();
-});
-
-btnStop.onclick = () => {
-  if (abortController) abortController.abort();
-};
-
 /**
- * Splits document text into overlapping, sentence-aware chunks.
- * 
- * DESIGN RATIONALE:
- * Character-based slicing often cuts sentences in half, leading into low-quality 
- * RAG results. This function attempts to find the nearest sentence break (period),
- * newline, or whitespace to ensure that each fragment is semantically coherent.
- * The 'overlap' ensures that context is maintained between consecutive fragments.
+ * Reloads the document library for a model and renders it.
+ * Files only indexed with other models are reported, since they must be re-embedded.
+ * @param {string} modelUrl - The model whose indexes should be usable
  */
-function chunkText(text, size = 600, overlap = 100) {
-  const chunks = [];
-  let i = 0;
-
-  while (i < text.length) {
-    let end = i + size;
-    if (end < text.length) {
-      // Seek a logical break point within a small window at the end of the chunk.
-      const searchWindow = text.substring(end - 100, end + 20);
-      const breakIdx = searchWindow.lastIndexOf(". ") !== -1 ? searchWindow.lastIndexOf(". ") + 1 :
-        searchWindow.lastIndexOf("\n") !== -1 ? searchWindow.lastIndexOf("\n") :
-          searchWindow.lastIndexOf(" ");
-
-      if (breakIdx !== -1) {
-        end = (end - 100) + breakIdx + 1;
-      }
+async function refreshLibrary(modelUrl) {
+  try {
+    const { staleNames } = await loadLibrary(modelUrl);
+    if (staleNames.length > 0) {
+      setWarn(`⚠️ ${staleNames.length} document(s) were indexed with another embedding model (${staleNames.join(", ")}). Re-upload them to use them with this model.`);
     }
+  } catch (e) {
+    console.warn("Could not read stored documents:", e);
+  }
+  renderLibrary();
+}
+
+/** Renders the document library with its enable toggles and remove buttons. */
+function renderLibrary() {
+  docListEl.innerHTML = "";
+  for (const doc of getDocuments()) {
+    const item = document.createElement("label");
+    item.className = "doc";
+
+    // Enabling a document attaches it to the active session only.
+    const toggle = document.createElement("input");
+    toggle.type = "checkbox";
+    toggle.checked = !!session?.docHashes.includes(doc.fileHash);
+    toggle.onchange = async () => {
+      if (!session) return;
+      session.docHashes = session.docHashes.filter(h => h !== doc.fileHash);
+      if (toggle.checked) session.docHashes.push(doc.fileHash);
+      await persistSession(session);
+    };
+
+    const name = document.createElement("span");
+    name.textContent = `${doc.name} (${doc.chunks.length} chunks)`;
+    if (doc.chunking) name.title = `Chunking: ${CHUNKING_STRATEGIES[normalizeChunking(doc.chunking).strategy].label}`;
+
+    const exportBtn = document.createElement("button");
+    exportBtn.textContent = "⤓";
+    exportBtn.title = "Export index file";
+    exportBtn.onclick = (e) => {
+      e.preventDefault();
+      const blob = encodeIndexFile(doc, doc.modelFingerprint || embedder.fingerprint);
+      downloadFile(`${safeFilename(doc.name.replace(/\.pdf$/i, ""))}${INDEX_FILE_EXTENSION}`, blob);
+    };
 
-    chunks.push(text.substring(i, end).trim());
-    i = end - overlap;
-    if (i < 0) i = 0;
+    const remove = document.createElement("button");
+    remove.textContent = "✕";
+    remove.title = "Remove from library";
+    remove.onclick = async (e) => {
+      e.preventDefault();
+      await removeDocument(doc.id);
+      renderLibrary();
+    };
+
+    item.append(toggle, name, exportBtn, remove);
+    docListEl.appendChild(item);
+  }
+}
 
-    // Safety exit: Prevent infinite loop if the chunk pointer fails to advance.
-    if (end <= i + overlap && end < text.length) i = end;
+/** Rebuilds the chat pane from the active session's history. */
+function renderChat() {
+  chatEl.innerHTML = "";
+  for (const m of session.messages) {
+    if (m.noMatch) addNoMatchNote();
+    const div = addMsg(m.role, m.display ?? m.content);
+    if (m.summarized) div.classList.add("summarized");
+    if (m.role === "assistant") addSources(m.sources);
   }
+}
+
+/** Renders the session sidebar, highlighting the active session. */
+async function renderSessions() {
+  let sessions;
+  try {
+    sessions = await listSessions();
+  } catch (err) {
+    // Without IndexedDB only the in-memory session exists (see initSessions).
+    console.warn("Could not list sessions:", err);
+    sessions = session ? [session] : [];
+  }
+  sessionListEl.innerHTML = "";
+  for (const s of sessions) {
+    const item = document.createElement("div");
+    item.className = `session${s.id === session?.id ? " active" : ""}`;
+
+    const name = document.createElement("span");
+    name.textContent = s.name;
+    name.onclick = () => openSession(s);
+
+    const rename = document.createElement("button");
+    rename.textContent = "✎";
+    rename.title = "Rename";
+    rename.onclick = () => renameSession(s);
+
+    const remove = document.createElement("button");
+    remove.textContent = "✕";
+    remove.title = "Delete";
+    remove.onclick = () => removeSession(s);
+
+    item.append(name, rename, remove);
+    sessionListEl.appendChild(item);
+  }
+}
+
+/**
+ * Makes a session the active one and restores it into the chat pane.
+ * @param {Object} s - The session to open
+ */
+async function openSession(s) {
+  if (sessionsLocked()) return;
+  // The sidebar lists stored copies: the active session may have unsaved changes.
+  if (s.id === session?.id) s = session;
+  session = s;
+  setActiveSessionId(s.id);
+  systemPromptEl.value = s.systemPrompt;
+  summaryEl.value = s.summary || "";
+  renderChat();
+  renderLibrary();
+  await renderSessions();
+}
 
-  // Filter out tiny fragments (usually artifacts of the splitting logic).
-  return chunks.filter(c => c.length > 10);
+/**
+ * Tells whether sessions can be switched or deleted: not while a chat turn runs, since its
+ * question and answer belong to the session it started in.
+ * @returns {boolean} True (after warning the user) when they cannot
+ */
+function sessionsLocked() {
+  if (!turnRunning) return false;
+  setWarn("⚠️ Wait for the current answer (or stop it) before switching or deleting conversations.");
+  return true;
 }
 
 /**
- * Standard Cosine Similarity for vector comparison.
+ * Saves a session, logging failures: without IndexedDB sessions live in memory only (see
+ * initSessions), and the chat must keep working.
+ * @param {Object} s - Session to save
+ * @returns {Promise<boolean>} True when it was saved
  */
-function cosineSimilarity(v1, v2) {
-  let dot = 0;
-  let m1 = 0;
-  let m2 = 0;
-  for (let i = 0; i < v1.length; i++) {
-    dot += v1[i] * v2[i];
-    m1 += v1[i] * v1[i];
-    m2 += v2[i] * v2[i];
+async function persistSession(s) {
+  try {
+    await saveSession(s);
+    return true;
+  } catch (err) {
+    console.warn("Could not save the session:", err);
+    return false;
+  }
+}
+
+/** Creates, persists and opens a new empty session. */
+async function newSession() {
+  if (sessionsLocked()) return;
+  const s = createSession();
+  await persistSession(s);
+  await openSession(s);
+  inputEl.focus();
+}
+
+/** Prompts for a new session name. */
+async function renameSession(s) {
+  // The sidebar lists stored copies: the active session may have unsaved changes.
+  if (s.id === session?.id) s = session;
+  const name = prompt("Conversation name:", s.name)?.trim();
+  if (!name) return;
+  s.name = name;
+  await persistSession(s);
+  await renderSessions();
+}
+
+/** Deletes a session after confirmation; falls back to another (or a fresh) session. */
+async function removeSession(s) {
+  if (sessionsLocked() || !confirm(`Delete the conversation "${s.name}"?`)) return;
+  await deleteSession(s.id);
+  if (s.id !== session?.id) {
+    await renderSessions();
+    return;
+  }
+  session = null;
+  const remaining = await listSessions();
+  if (remaining.length > 0) {
+    await openSession(remaining[0]);
+  } else {
+    await newSession();
   }
-  return dot / (Math.sqrt(m1) * Math.sqrt(m2));
 }
 
+/** Restores the last opened session (or creates the first one) on startup. */
+async function initSessions() {
+  try {
+    const sessions = await listSessions();
+    const lastId = getActiveSessionId();
+    const s = sessions.find(x => x.id === lastId) || sessions[0];
+    if (s) {
+      await openSession(s);
+    } else {
+      await newSession();
+    }
+  } catch (e) {
+    // IndexedDB unavailable (e.g. some private modes): keep an in-memory session.
+    console.warn("Could not restore sessions:", e);
+    session = createSession();
+    systemPromptEl.value = session.systemPrompt;
+  }
+}
+
+btnNewSession.onclick = newSession;
+bindSettingsInputs(settingsPanel);
+
+btnExportMd.onclick = () => {
+  downloadFile(`${safeFilename(session.name)}.md`, toMarkdown(session), "text/markdown;charset=utf-8");
+};
+btnExportJson.onclick = () => {
+  downloadFile(`${safeFilename(session.name)}.json`, toJSON(session), "application/json");
+};
+btnImportJson.onclick = () => jsonInput.click();
+
+/** Imports a JSON conversation as a new session and opens it. */
+jsonInput.onchange = async (e) => {
+  const file = e.target.files[0];
+  jsonInput.value = "";
+  if (!file) return;
+  try {
+    const imported = fromJSON(await file.text());
+    // Checked once the file is read: a turn may have started meanwhile.
+    if (sessionsLocked()) return;
+    await persistSession(imported);
+    await openSession(imported);
+    setStatus(`Conversation imported ✅ ${imported.name} (${imported.messages.length} messages)`);
+  } catch (err) {
+    console.error(err);
+    setWarn(`Import Error: ${err.message}`);
+  }
+};
+summaryEl.onchange = async () => {
+  session.summary = summaryEl.value.trim();
+  await persistSession(session);
+};
+systemPromptEl.onchange = async () => {
+  session.systemPrompt = systemPromptEl.value.trim() || session.systemPrompt;
+  systemPromptEl.value = session.systemPrompt;
+  await persistSession(session);
+};
+
+btnLoad.onclick = loadModel;
+embeddingSelector.onchange = async () => {
+  settings.embeddingModel = embeddingSelector.value;
+  saveSettings();
+  if (!wllama) return;
+  embeddingSelector.disabled = true;
+  try {
+    await setupEmbedder();
+  } finally {
+    embeddingSelector.disabled = false;
+  }
+};
+window.addEventListener("DOMContentLoaded", async () => {
+  await initSessions();
+  await refreshModelList();
+  await loadModel();
+});
+
+btnStop.onclick = () => {
+  if (abortController) abortController.abort();
+};
+
 /**
- * Validates and splits chunks concurrently to fit within token limits.
+ * Runs an async function over items with a concurrency limit.
  * @param {Array} items - Items to process
  * @param {Function} fn - Async function to run on each item
  * @param {number} limit - Max concurrent tasks
@@ -273,160 +649,432 @@ async function runConcurrent(items, fn, limit) {
 }
 
 btnUploadPdf.onclick = () => pdfInput.click();
+btnImportIndex.onclick = () => indexInput.click();
+
+/**
+ * UI Handler: Imports a shared index file into the library, skipping the embedding step.
+ * Refused when the loaded model is not the one that produced the embeddings.
+ */
+indexInput.onchange = async (e) => {
+  const file = e.target.files[0];
+  indexInput.value = "";
+  if (!file || !embedder) return;
+  const emb = embedder;
+
+  try {
+    const { header, embeddings } = decodeIndexFile(await file.arrayBuffer());
+    assertCompatible(header, emb.fingerprint, emb.dim);
+
+    const modelUrl = emb.modelUrl;
+    const chunks = header.chunks.map(c => ({ ...c, source: header.document.name }));
+    const persisted = await addDocument({
+      id: documentKey(header.document.fileHash, modelUrl),
+      name: header.document.name,
+      fileHash: header.document.fileHash,
+      chunks,
+      embeddings,
+      bm25: buildBm25Index(chunks.map(c => c.text)),
+      modelUrl,
+      modelFingerprint: emb.fingerprint,
+      chunking: header.chunking,
+      createdAt: Date.now(),
+    });
+    await attachDocument(header.document.fileHash);
+    setStatus(`Index imported ✅ ${header.document.name} (${embeddings.length} chunks)`);
+    if (!persisted) setWarn(`⚠️ ${header.document.name}: the index could not be saved in this browser and will be lost on reload.`);
+  } catch (err) {
+    console.error(err);
+    setWarn(`Index Import Error: ${err.message}`);
+  }
+};
+
+/**
+ * Asks how a document should be chunked: strategy and parameters (see chunking-strategies.js).
+ * @param {string} name - File name
+ * @param {{strategy: string, params: Object}} initial - Choice shown when the dialog opens
+ * @returns {Promise<{strategy: string, params: Object}|null>} The choice, or null when cancelled
+ */
+function askChunking(name, initial) {
+  chunkingTitleEl.textContent = `Chunking of ${name}`;
+  chunkingStrategyEl.innerHTML = "";
+  for (const [id, strategy] of Object.entries(CHUNKING_STRATEGIES)) {
+    chunkingStrategyEl.add(new Option(strategy.label, id));
+  }
+
+  // Parameter inputs are rebuilt for the selected strategy; the initial values apply to the
+  // initial strategy only.
+  const renderParams = (strategy, values) => {
+    chunkingDescriptionEl.textContent = CHUNKING_STRATEGIES[strategy].description;
+    chunkingParamsEl.innerHTML = "";
+    for (const [key, p] of Object.entries(CHUNKING_STRATEGIES[strategy].params)) {
+      const label = document.createElement("label");
+      const input = document.createElement("input");
+      Object.assign(input, { type: "number", min: p.min, max: p.max, step: p.step, value: values[key], required: true });
+      input.dataset.param = key;
+      label.append(p.label, input);
+      chunkingParamsEl.appendChild(label);
+    }
+  };
+  chunkingStrategyEl.value = initial.strategy;
+  renderParams(initial.strategy, initial.params);
+  chunkingStrategyEl.onchange = () => {
+    const strategy = chunkingStrategyEl.value;
+    renderParams(strategy, strategy === initial.strategy ? initial.params : defaultParams(strategy));
+  };
+
+  chunkingDialog.returnValue = "";
+  chunkingDialog.showModal();
+  return new Promise((resolve) => {
+    chunkingDialog.onclose = () => {
+      if (chunkingDialog.returnValue !== "index") return resolve(null);
+      const params = {};
+      for (const input of chunkingParamsEl.querySelectorAll("[data-param]")) params[input.dataset.param] = Number(input.value);
+      resolve(normalizeChunking({ strategy: chunkingStrategyEl.value, params }));
+    };
+  });
+}
 
 /**
  * UI Handler: Extracts text from a PDF, chunks it, and generates embeddings locally.
  */
 pdfInput.onchange = async (e) => {
   const file = e.target.files[0];
-  if (!file || !wllama) return;
+  if (!file || !embedder) return;
 
+  // Every vector of an index must come from the same model: the embedder is fixed for the
+  // whole upload, and model switches wait until it is indexed.
+  const emb = embedder;
+  btnLoad.disabled = true;
+  embeddingSelector.disabled = true;
   setStatus(`Extracting text from ${file.name}…`);
   try {
     const arrayBuffer = await file.arrayBuffer();
-    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-
-    let fullText = "";
-    for (let i = 1; i <= pdf.numPages; i++) {
-      const page = await pdf.getPage(i);
-      const textContent = await page.getTextContent();
-      fullText += textContent.items.map(item => item.str).join(" ") + "\n";
+    // Indexes belong to the model that produced their embeddings.
+    const modelUrl = emb.modelUrl;
+
+    // Skip re-embedding when this exact file was already indexed with the current model.
+    // The hash is computed before pdf.js takes (and detaches) the buffer.
+    const fileHash = await hashBuffer(arrayBuffer);
+    // Storage failures are not fatal: the file is indexed again and kept in memory.
+    const cached = await dbGet(STORE_DOCUMENTS, documentKey(fileHash, modelUrl)).catch((err) => {
+      console.warn("Could not read stored documents:", err);
+      return null;
+    });
+    if (cached) {
+      await addDocument(cached);
+      await attachDocument(fileHash);
+      setStatus(`Document restored ✅ ${cached.name} (${cached.chunks.length} chunks)`);
+      return;
     }
 
-    const chunks = chunkText(fullText);
-    setStatus(`Analyzing ${chunks.length} fragments…`);
-
-    /**
-     * SMART CHUNK SIZING (Recursive):
-     * The Wllama library (v2.3.6) does not expose 'n_ubatch' in its config, 
-     * forcing a hard physical limit of 512 tokens per batch. 
-     * Instead of reloading the model (which fails), we must strictly ensure 
-     * no chunk exceeds this limit by recursively splitting strictly based on token usage.
-     */
-    async function ensureChunkSize(text) {
-      const tokens = await wllama.tokenize(text);
-      // AGGRESSIVE SAFETY: Limit to 300 tokens to be well under the 512 physical limit.
-      if (tokens.length <= 300) return [text];
-
-      console.log(`RAG Debug: Chunk too large (${tokens.length} tokens). Splitting...`);
-      const mid = Math.floor(text.length / 2);
-      // Try to find a space near the middle to avoid cutting words
-      const searchWindow = text.substring(mid - 50, mid + 50);
-      const spaceRelative = searchWindow.lastIndexOf(" ");
-      const splitIdx = spaceRelative !== -1 ? (mid - 50 + spaceRelative) : mid;
-
-      const left = text.substring(0, splitIdx).trim();
-      const right = text.substring(splitIdx).trim();
-
-      // Recursively process both halves
-      return [
-        ...(left ? await ensureChunkSize(left) : []),
-        ...(right ? await ensureChunkSize(right) : [])
-      ];
+    // Re-indexing a file already indexed with another model starts from the chunking recorded
+    // in that index; a new file starts from the last choice.
+    const previous = (await dbGetAll(STORE_DOCUMENTS).catch(() => []))
+      .filter(d => d.fileHash === fileHash && d.chunking)
+      .sort((a, b) => b.createdAt - a.createdAt)[0];
+    const chunking = await askChunking(file.name, previous ? normalizeChunking(previous.chunking) : loadLastChunking());
+    if (!chunking) {
+      setStatus("Ready ✅");
+      return;
     }
+    saveLastChunking(chunking);
 
-    // Process and validate all chunks
-    // Process and validate all chunks concurrently
-    // We use a concurrency limit (e.g., 4) to avoid overwhelming the tokenizer
-    const results = await runConcurrent(chunks, ensureChunkSize, 4);
-    const validatedChunks = results.flat();
-
-    // Update chunks list with valid ones
-    const finalChunks = validatedChunks.filter(c => c.length > 0);
-    setStatus(`Indexing ${finalChunks.length} optimized fragments…`);
+    const { pdf, truncated } = await openPdf(arrayBuffer, {
+      name: file.name,
+      askPassword: (retry) => prompt(retry
+        ? `Wrong password for "${file.name}". Try again:`
+        : `"${file.name}" is password-protected. Password:`),
+    });
+    // Section structure: the outline when the file has one, inferred from styling otherwise.
+    const outline = await readOutline(pdf);
+
+    // Rebuild lines, columns and paragraphs from item positions (see pdf-text.js).
+    // Pages without a text layer (scans) are recognized with the local OCR engine instead.
+    // A page that fails is skipped: the rest of the document is still indexed.
+    const pageLines = [];
+    const failedPages = [];
+    let scannedPages = 0;
+    let ocr = null;
+    let ocrError = null;
+    const startOcr = async () => {
+      if (!ocr && !ocrError) {
+        setStatus(`Starting OCR (${settings.ocrLanguage}) for scanned pages…`);
+        try {
+          ocr = await createOcrEngine(settings.ocrLanguage);
+        } catch (err) {
+          console.warn("OCR engine could not start:", err);
+          ocrError = err;
+        }
+      }
+      return ocr !== null;
+    };
+    try {
+      for (let i = 1; i <= pdf.numPages; i++) {
+        try {
+          const page = await pdf.getPage(i);
+          let { lines } = await extractPageLayout(page);
+          if (!needsOcr(lines)) {
+            if (outline.length === 0) await annotateBoldLines(page, lines);
+          } else {
+            scannedPages++;
+            if (await startOcr()) {
+              lines = await ocr.recognize(page, (progress) => {
+                setStatus(`OCR page ${i}/${pdf.numPages}: ${Math.round(progress * 100)}%…`);
+              });
+            }
+          }
+          pageLines.push(lines);
+        } catch (err) {
+          console.warn(`RAG Debug: Page ${i} could not be read:`, err);
+          failedPages.push(i);
+          pageLines.push([]);
+        }
+      }
+    } finally {
+      await ocr?.terminate();
+    }
+    if (scannedPages > 0) console.log(`RAG Debug: ${scannedPages} scanned page(s) without a text layer.`);
+    const { pages, removed } = stripRepeatedMargins(pageLines);
+    if (removed > 0) console.log(`RAG Debug: Dropped ${removed} running header/footer line(s).`);
+    if (outline.length > 0) {
+      markOutlineHeadings(pages, outline);
+      console.log(`RAG Debug: Using the PDF outline (${outline.length} entries) for sections.`);
+    } else {
+      console.log(`RAG Debug: Inferred ${markInferredHeadings(pages)} heading(s) from font styling.`);
+    }
 
-    // Ensure embeddings are enabled
-    await wllama.setOptions({ embeddings: true });
+    // Remember where each page starts in the full text so chunks can cite their pages.
+    // Tables are rendered as Markdown after the prose of their page and chunked on their own.
+    let fullText = "";
+    const pageStarts = [];
+    const tableSpans = [];
+    const headings = [];
+    for (const lines of pages) {
+      pageStarts.push(fullText.length);
+      const { lines: prose, tables } = extractTables(lines);
+      const pageOffset = fullText.length;
+      fullText += linesToText(prose, (line, offset) => {
+        for (const h of line.headings || []) headings.push({ ...h, offset: pageOffset + offset });
+      }) + "\n\n";
+      for (const rows of tables) {
+        const markdown = tableToMarkdown(rows);
+        tableSpans.push({ start: fullText.length, end: fullText.length + markdown.length });
+        fullText += markdown + "\n\n";
+      }
+    }
+    if (tableSpans.length > 0) console.log(`RAG Debug: Extracted ${tableSpans.length} table(s).`);
+
+    // Chunks are measured in embedding model tokens, including the section path that is
+    // prepended to their embedded text, so every chunk fits the embedding batch (see chunking.js).
+    const { countTokens } = emb;
+    const sectionAt = sectionLookup(headings);
+    const language = settings.documentLanguage !== "auto"
+      ? settings.documentLanguage
+      : previous?.chunking?.language || detectLanguage(fullText);
+    console.log(`RAG Debug: Chunking ${file.name} with "${chunking.strategy}", segmented as "${language}".`);
+    setStatus(`Chunking ${file.name}…`);
+    let embeddedSentences = 0;
+    const embedSentences = async (text) => {
+      setStatus(`Semantic chunking: ${++embeddedSentences} sentence group(s) embedded…`);
+      return emb.embed(text);
+    };
+    const chunks = assignSections(await chunkDocument(fullText, tableSpans, createChunkers(chunking, {
+      text: fullText,
+      countTokens,
+      measure: (chunk) => countTokens(embeddingText({ ...chunk, section: sectionAt(chunk.start) })),
+      maxTokens: MAX_CHUNK_TOKENS,
+      language,
+      sectionStarts: headings.map(h => h.offset),
+      embed: embedSentences,
+    })), headings);
+    if (chunks.length === 0) {
+      throw new Error(emptyDocumentMessage(file.name, {
+        numPages: pdf.numPages, failedPages, scannedPages, ocrError, ocrLanguage: settings.ocrLanguage,
+      }));
+    }
+    // Page ranges are derived from the chunk offsets.
+    assignPages(chunks, pageStarts, file.name);
+    // Repeated boilerplate (footers, disclaimers) is indexed once, with all its locations.
+    const { chunks: uniqueChunks, merged } = collapseDuplicates(chunks);
+    if (merged > 0) console.log(`RAG Debug: Merged ${merged} duplicate chunk(s).`);
+    setStatus(`Indexing ${uniqueChunks.length} fragments…`);
 
     const embeddings = [];
     const safeChunks = [];
+    let failedChunks = 0;
 
-    // Recursive function to handle runtime embedding failures
-    async function processChunkSafe(text) {
+    let completed = 0;
+    // Sequential execution for embeddings to ensure stability (concurrency: 1)
+    await runConcurrent(uniqueChunks, async (chunk) => {
       try {
-        const output = await wllama.embeddings(text);
-        embeddings.push(output);
-        safeChunks.push(text);
+        embeddings.push(await emb.embed(embeddingText(chunk)));
+        safeChunks.push(chunk);
       } catch (err) {
-        console.warn(`RAG Debug: Embedding failed for chunk ("${text.substring(0, 20)}..."). Reason: ${err.message}`);
-        // If it fails (likely due to batch size), split it further and retry
-        if (text.length < 10) return;
-
-        console.log("RAG Debug: Splitting failing chunk and retrying...");
-        const mid = Math.floor(text.length / 2);
-        const left = text.substring(0, mid).trim();
-        const right = text.substring(mid).trim();
-
-        if (left) await processChunkSafe(left);
-        if (right) await processChunkSafe(right);
+        console.warn(`RAG Debug: Embedding failed for chunk ("${chunk.text.substring(0, 20)}..."). Reason: ${err.message}`);
+        failedChunks++;
       }
-    }
-
-    let completed = 0;
-    // Sequential execution for embeddings to ensure stability (concurrency: 1)
-    await runConcurrent(finalChunks, async (chunk) => {
-      await processChunkSafe(chunk);
       completed++;
-      setStatus(`Indexing: ${completed}/${finalChunks.length}…`);
+      setStatus(`Indexing: ${completed}/${uniqueChunks.length}…`);
     }, 1);
 
-    docState = {
+    // Add the index to the library. Persisting it means a reload (or a later re-upload)
+    // does not pay the embedding cost again.
+    const persisted = await addDocument({
+      id: documentKey(fileHash, modelUrl),
       name: file.name,
+      fileHash,
       chunks: safeChunks,
       embeddings,
-      modelUrl: modelSelector.value,
-    };
-    setStatus(`Document loaded ✅ ${file.name} (${safeChunks.length} chunks)`);
+      bm25: buildBm25Index(safeChunks.map(c => c.text)),   // Lexical index for hybrid retrieval
+      modelUrl,
+      modelFingerprint: emb.fingerprint,
+      chunking: { ...chunking, language, maxTokens: MAX_CHUNK_TOKENS },
+      createdAt: Date.now(),
+    });
+    await attachDocument(fileHash);
+    const mergedNote = merged > 0 ? `, ${merged} duplicate(s) merged` : "";
+    setStatus(`Document loaded ✅ ${file.name} (${safeChunks.length} chunks${mergedNote})`);
+
+    // Partial indexing: say which pages are missing from the index.
+    const warnings = [];
+    if (failedPages.length > 0) {
+      warnings.push(`page(s) ${formatPageList(failedPages)} could not be read and were skipped`);
+    }
+    if (scannedPages > 0 && ocrError) {
+      warnings.push(`${scannedPages} scanned page(s) were skipped because OCR could not start`);
+    }
+    if (failedChunks > 0) warnings.push(`${failedChunks} fragment(s) could not be embedded`);
+    if (truncated) warnings.push("the file looks truncated, the end of the document may be missing");
+    if (!persisted) warnings.push("the index could not be saved in this browser and will be lost on reload");
+    if (warnings.length > 0) setWarn(`⚠️ ${file.name}: ${warnings.join("; ")}.`);
   } catch (err) {
     console.error(err);
     setWarn(`PDF Error: ${err.message}`);
     setStatus("Ready ✅");
+  } finally {
+    // Allow selecting the same file again (e.g. after switching models).
+    pdfInput.value = "";
+    btnLoad.disabled = false;
+    embeddingSelector.disabled = false;
   }
 };
 
+/**
+ * Attaches a freshly uploaded document to the active session.
+ * @param {string} fileHash - Content hash of the document
+ */
+async function attachDocument(fileHash) {
+  if (!session.docHashes.includes(fileHash)) {
+    session.docHashes.push(fileHash);
+    await persistSession(session);
+  }
+  renderLibrary();
+}
+
 /**
  * Performs a chat turn. Integrates RAG retrieval if a document is loaded.
  */
 async function runChatTurn(userText) {
-  let contextToInject = "";
-
-  // 1. RAG Retrieval Step: Find context fragments relevant to the user's query.
-  if (docState.chunks.length > 0 && wllama) {
-    // Safety check: Ensure embeddings were successfully generated
-    if (docState.embeddings.length === 0) {
-      console.warn("RAG: Document loaded but no embeddings found. Skipping retrieval.");
-      setWarn("⚠️ Context skipped: Please re-upload PDF to generate embeddings.");
-    } else {
-      try {
-        console.log("RAG: Finding relevant documents...");
-        await wllama.setOptions({ embeddings: true });
-        const queryEmbedding = await wllama.embeddings(userText);
-
-        const scores = docState.embeddings.map((emb, idx) => ({
-          idx,
-          score: cosineSimilarity(queryEmbedding, emb),
-        }));
+  // The turn belongs to the session it started in, even if the sidebar changes meanwhile.
+  const s = session;
+  /** @type {Array<{source: string, text: string, score: number}>} Ranked candidate fragments */
+  let fragments = [];
+  /** @type {boolean} True when documents were searched but nothing passed the threshold */
+  let noMatch = false;
+
+  // 0. Memory Step (optional): fold the oldest turns into a summary before they overflow.
+  if (settings.memoryMode) {
+    try {
+      setStatus("Summarizing older turns…");
+      await wllama.setOptions({ embeddings: false });
+      if (await compactHistory(wllama, s, N_CTX - GENERATION_PARAMS.nPredict)) {
+        summaryEl.value = s.summary;
+        renderChat();
+        await persistSession(s);
+      }
+    } catch (err) {
+      console.error("Memory Error during summarization:", err);
+      setWarn(`Memory Error: ${err.message}`);
+    }
+  }
 
-        // Sort by similarity and pick top 3
-        scores.sort((a, b) => b.score - a.score);
-        const top3 = scores.slice(0, 3);
+  // 1. RAG Retrieval Step: Find context fragments relevant to the user's query
+  // across every library document enabled in this session.
+  const enabledDocs = getEnabledDocuments(s.docHashes);
+  if (enabledDocs.length > 0 && embedder) {
+    try {
+      // Optional: turn a follow-up into a standalone query (needs generation mode).
+      let query = userText;
+      if (settings.queryRewrite && s.messages.length > 0) {
+        setStatus("Rewriting question for retrieval…");
+        await wllama.setOptions({ embeddings: false });
+        query = await rewriteQuery(wllama, s.messages, userText);
+        console.log(`RAG: Rewritten query: "${query}"`);
+      }
 
-        console.log("RAG: Top scores:", top3.map(s => s.score.toFixed(3)));
+      console.log(`RAG: Searching ${enabledDocs.length} document(s)...`);
+      const queryEmbedding = await embedder.embed(query);
+
+      // Hybrid ranking (vector + BM25, fused by rank), then diversify the candidates with MMR.
+      // Fragments below the similarity threshold are dropped first (see filterRelevant).
+      const ranked = rankFragments(enabledDocs, queryEmbedding, query, settings.hybridWeight);
+      const relevant = filterRelevant(ranked, settings.minSimilarity, settings.hybridWeight, settings.maxFragments);
+      const top = selectMmr(relevant, settings.maxFragments, settings.mmrLambda, settings.mmrPoolSize);
+      renderInspector(userText, query, ranked, top);
+
+      console.log("RAG: Top scores:", top.map(c => `${c.doc.name}: cos=${c.score.toFixed(3)} bm25=${c.bm25.toFixed(2)}`));
+      // Small-to-big: hits are widened to their neighbours or section, adjacent ones merged.
+      const passages = expandHits(top, { mode: settings.parentExpansion, window: settings.parentWindow });
+      fragments = passages.map(p => {
+        const best = p.hits[0];
+        const chunk = best.doc.chunks[best.idx];
+        const hit = { source: p.doc.name, pages: pageLabel(chunk), section: chunk.section, text: chunk.text, score: best.score };
+        if (p.first === p.last) return hit;
+        const pages = pageLabel({ pageStart: p.doc.chunks[p.first].pageStart, pageEnd: p.doc.chunks[p.last].pageEnd });
+        return { ...hit, pages, text: passageText(p.doc.chunks, p.first, p.last), fallback: hit };
+      });
+      if (passages.length < top.length) console.log(`RAG: ${top.length} hits merged into ${passages.length} passage(s).`);
 
-        contextToInject = "\nContext from document:\n" +
-          top3.map(s => `--- DOCUMENT FRAGMENT ---\n${docState.chunks[s.idx]}`).join("\n") +
-          "\n";
-      } catch (err) {
-        console.error("RAG Error during retrieval:", err);
-        setWarn(`RAG Error: ${err.message}`);
+      if (top.length === 0) {
+        noMatch = true;
+        const best = Math.max(...ranked.map(c => c.score));
+        console.log(`RAG: No fragment above ${settings.minSimilarity} (best ${best.toFixed(3)}).`);
       }
+    } catch (err) {
+      console.error("RAG Error during retrieval:", err);
+      setWarn(`RAG Error: ${err.message}`);
     }
   }
 
-  // Inject retrieved context into the hidden prompt sent to the LLM
-  const promptWithContext = userText + contextToInject;
-  messages.push({ role: "user", content: promptWithContext });
+  // Fit history and fragments in the context window (counted in model tokens).
+  const assembled = await assemblePrompt(wllama, {
+    session: s,
+    question: userText,
+    fragments,
+    emptyContext: noMatch && settings.noMatchPolicy === "tell" ? NO_MATCH_CONTEXT : "",
+    contextTurns: settings.contextTurns,
+    nCtx: N_CTX,
+    nPredict: GENERATION_PARAMS.nPredict,
+    contextReserve: settings.contextReserve,
+  });
+  renderContextUsage(assembled.usage);
+  if (assembled.fragments.length < fragments.length) {
+    console.log(`RAG: ${fragments.length - assembled.fragments.length} fragment(s) did not fit in the context window.`);
+  }
+  const sources = assembled.fragments.map(f => ({
+    document: f.source, pages: f.pages, section: f.section, score: f.score, text: f.text,
+  }));
+
+  // Keep the retrieved context as per-turn metadata: buildChatMessages injects it into the
+  // hidden prompt sent to the LLM only while the turn is recent enough (see contextTurns).
+  s.messages.push({ role: "user", content: userText, context: assembled.context });
   addMsg("user", userText);
+  if (noMatch) addNoMatchNote();
+
+  // Name fresh sessions after their first question.
+  if (s.name === DEFAULT_SESSION_NAME) {
+    s.name = userText.length > 40 ? `${userText.slice(0, 40)}…` : userText;
+  }
 
   // 2. Inference Step: Generate the assistant's response.
   const assistantDiv = addMsg("assistant", "");
@@ -438,6 +1086,8 @@ async function runChatTurn(userText) {
   btnSend.disabled = true;
 
   let acc = "";
+  let params = GENERATION_PARAMS;
+  const modelUrl = modelSelector.value;
   const decoder = new TextDecoder();
 
   /**
@@ -452,16 +1102,11 @@ async function runChatTurn(userText) {
   }
 
   try {
-    const stream = await wllama.createChatCompletion(messages, {
+    const stream = await wllama.createChatCompletion(assembled.messages, {
       stream: true,
       useCache: true,      // Keeps past conversation context for faster multi-turn chat.
-      nPredict: 512,       // Limit response to prevent excessive resource usage.
       abortSignal: abortController.signal,
-      sampling: {
-        temp: 0.2,         // Lower temperature for more factual/predictable answers.
-        top_p: 0.9,
-        penalty_repeat: 1.1
-      },
+      ...GENERATION_PARAMS,
     });
 
     /**
@@ -496,10 +1141,10 @@ async function runChatTurn(userText) {
      */
     if (acc.length === 0 && !abortController.signal.aborted) {
       console.warn("RAG Debug: Stream yielded zero text. Attempting non-streaming fallback...");
-      const fallback = await wllama.createChatCompletion(messages, {
+      params = FALLBACK_PARAMS;
+      const fallback = await wllama.createChatCompletion(assembled.messages, {
         stream: false,
-        nPredict: 128,
-        sampling: { temp: 0.1 },
+        ...FALLBACK_PARAMS,
       });
       acc = fallback;
       assistantDiv.textContent = acc;
@@ -507,19 +1152,29 @@ async function runChatTurn(userText) {
 
     console.log("RAG Debug: Final Response Length:", acc.length);
 
-    // Store the final response in the session history.
-    messages.push({ role: "assistant", content: acc });
+    // Store the final response in the session history, with what produced it.
+    s.messages.push({ role: "assistant", content: acc, sources, noMatch, params, modelUrl });
+    addSources(sources);
   } catch (err) {
     if (abortController?.signal?.aborted) {
       // Gracefully handle manual cancellations.
       assistantDiv.textContent = acc + "\n\n[stopped]";
-      messages.push({ role: "assistant", content: acc });
+      s.messages.push({
+        role: "assistant", content: acc, display: assistantDiv.textContent, sources, noMatch, params, modelUrl,
+      });
+      addSources(sources);
     } else {
       // Report unexpected runtime errors.
       assistantDiv.textContent = `Error: ${err.message}`;
     }
   } finally {
     abortController = null;
+    try {
+      await saveSession(s);
+      await renderSessions();
+    } catch (e) {
+      console.warn("Could not save session:", e);
+    }
     setStatus("Ready ✅");
     btnStop.disabled = true;
     btnSend.disabled = false;
@@ -529,9 +1184,14 @@ async function runChatTurn(userText) {
 
 btnSend.onclick = async () => {
   const text = inputEl.value.trim();
-  if (!text || !wllama) return;
+  if (!text || !wllama || turnRunning) return;
   inputEl.value = "";
-  await runChatTurn(text);
+  turnRunning = true;
+  try {
+    await runChatTurn(text);
+  } finally {
+    turnRunning = false;
+  }
 };
 
 inputEl.addEventListener("keydown", (e) => {
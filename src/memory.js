@@ -0,0 +1,129 @@
+/**
+ * @file memory.js
+ * @description Optional rolling summarization of old conversation turns ("memory mode").
+ *
+ * DESIGN RATIONALE:
+ * Trimming the oldest turns (see prompt.js) keeps prompts within `n_ctx` but forgets early
+ * facts. In memory mode, once the history grows past a share of the prompt budget, the loaded
+ * model folds the oldest turns into a compact "conversation so far" summary. Summarized
+ * messages stay in the session (chat view, exports) but are no longer sent to the model;
+ * the summary is sent instead, and the user can read and edit it.
+ * @author Warith Harchaoui
+ */
+
+/** History may use this share of the prompt budget before old turns are summarized. */
+const TRIGGER_RATIO = 0.5;
+/** Latest messages always kept verbatim (two question/answer turns). */
+const KEEP_RECENT = 4;
+/** Maximum length of the generated summary. */
+const SUMMARY_TOKENS = 200;
+/** Approximate tokens added by the chat template around the two messages of a request. */
+const TEMPLATE_OVERHEAD = 32;
+/** Below this room for the transcript (e.g. after a long edited summary), folding stops. */
+const MIN_TRANSCRIPT_TOKENS = 32;
+/** Attempts at shortening a message too long for a request on its own. */
+const MAX_SHORTEN_STEPS = 8;
+
+const SUMMARY_INSTRUCTIONS = "You maintain a compact memory of a conversation. " +
+  "Merge the previous summary and the new exchanges into one short summary. " +
+  "Keep names, numbers, decisions and open questions. Reply with the summary only.";
+
+/**
+ * Summarizes the oldest unsummarized turns when the history is too large, in as many
+ * requests as needed for each one to fit the prompt budget.
+ * Mutates the session: sets `summary` and flags the folded messages as `summarized`.
+ * @param {Object} wllama - Wllama instance (generation mode)
+ * @param {Object} session - Active session
+ * @param {number} promptBudget - Tokens available for the prompt (n_ctx minus the answer reserve)
+ * @returns {Promise<boolean>} True when a summary was produced
+ */
+export async function compactHistory(wllama, session, promptBudget) {
+  const active = session.messages.filter(m => !m.summarized);
+  if (active.length <= KEEP_RECENT) return false;
+
+  let historyTokens = 0;
+  for (const m of active) historyTokens += (await wllama.tokenize(m.display ?? m.content)).length;
+  if (historyTokens < promptBudget * TRIGGER_RATIO) return false;
+
+  // Fold everything but the recent turns, stopping before a user message so a
+  // question is never separated from its answer.
+  let cut = active.length - KEEP_RECENT;
+  while (cut > 0 && active[cut].role !== "user") cut--;
+  const toFold = active.slice(0, cut);
+  if (toFold.length === 0) return false;
+
+  // Long or imported chats can hold far more than one prompt: fold them in batches that fit,
+  // each merged into the summary of the previous ones.
+  let folded = 0;
+  while (folded < toFold.length) {
+    const batch = await nextBatch(wllama, toFold, folded, session.summary, promptBudget);
+    if (!batch) break;
+    const transcript = batch.lines.join("\n");
+    const output = await wllama.createChatCompletion(summaryPrompt(session.summary, transcript), {
+      nPredict: SUMMARY_TOKENS,
+      sampling: { temp: 0.1 },
+    });
+
+    const summary = output.trim();
+    if (!summary) break;
+    session.summary = summary;
+    for (const m of toFold.slice(folded, folded + batch.lines.length)) m.summarized = true;
+    folded += batch.lines.length;
+  }
+  return folded > 0;
+}
+
+/** Messages of a summarization request. */
+function summaryPrompt(previousSummary, transcript) {
+  const previous = previousSummary ? `Previous summary:\n${previousSummary}\n\n` : "";
+  return [
+    { role: "system", content: SUMMARY_INSTRUCTIONS },
+    { role: "user", content: `${previous}New exchanges:\n${transcript}\n\nUpdated summary:` },
+  ];
+}
+
+/**
+ * Takes the next messages to fold whose summarization prompt fits the budget, ending before a
+ * user message when possible. A single message too long for the budget is shortened.
+ * @returns {Promise<{lines: Array<string>}|null>} One transcript line per message, at least
+ *   one; null when the previous summary leaves too little room for any transcript
+ */
+async function nextBatch(wllama, messages, from, previousSummary, promptBudget) {
+  const count = async (text) => (await wllama.tokenize(text)).length;
+  // The answer is generated in the same context window as the prompt.
+  const available = promptBudget - SUMMARY_TOKENS - TEMPLATE_OVERHEAD -
+    await count(summaryPrompt(previousSummary, "").map(m => m.content).join("\n"));
+  if (available < MIN_TRANSCRIPT_TOKENS) return null;
+
+  const lines = [];
+  let used = 0;
+  for (let i = from; i < messages.length; i++) {
+    const m = messages[i];
+    let line = `${m.role === "user" ? "User" : "Assistant"}: ${(m.display ?? m.content).replace(/\s+/g, " ")}`;
+    let tokens = await count(line) + 1;
+    if (used + tokens > available) {
+      if (lines.length > 0) break;
+      // Too long on its own: keep its beginning. Each step drops at least one character.
+      for (let step = 0; tokens > available && line.length > 2 && step < MAX_SHORTEN_STEPS; step++) {
+        const keep = Math.min(line.length - 2, Math.floor(line.length * available / tokens) - 1);
+        line = `${line.slice(0, Math.max(1, keep))}…`;
+        tokens = await count(line) + 1;
+      }
+      if (tokens > available) return null;
+    }
+    lines.push(line);
+    used += tokens;
+  }
+
+  // Do not leave a question without its answer at the end of the batch.
+  const end = from + lines.length;
+  if (end < messages.length && messages[end].role !== "user") {
+    for (let k = lines.length - 1; k >= 1; k--) {
+      if (messages[from + k].role === "user") {
+        lines.length = k;
+        break;
+      }
+    }
+  }
+  return { lines };
+}
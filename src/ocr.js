@@ -0,0 +1,119 @@
+/**
+ * @file ocr.js
+ * @description OCR fallback for scanned PDFs, with tesseract.js (WebAssembly) running locally.
+ *
+ * DESIGN RATIONALE:
+ * Scanned pages have no text layer: pdf.js returns no text items and the upload would index
+ * nothing. Such pages are rendered to a canvas and recognized by Tesseract. The worker, the
+ * WASM core and the language data are copied into /public/tesseract at install time
+ * (see scripts/copy-wllama-assets.mjs), so documents never leave the machine. Recognized lines
+ * are returned in the same shape as pdf-text.js lines, so the rest of the pipeline (margins,
+ * paragraphs, tables, headings) is unchanged.
+ * @author Warith Harchaoui
+ */
+import { createWorker } from "tesseract.js";
+
+/** Local Tesseract assets. Absolute URLs: the worker resolves them from its own location. */
+const TESSERACT_ASSETS = {
+  workerPath: new URL("/tesseract/worker.min.js", window.location.origin).href,
+  corePath: new URL("/tesseract/core", window.location.origin).href,
+  langPath: new URL("/tesseract/lang", window.location.origin).href,
+};
+
+/** Render scale for OCR: pdf.js units are 1/72 inch, so 3 renders at 216 dpi. */
+const OCR_SCALE = 3;
+/** A page with fewer extracted characters than this has no usable text layer. */
+const MIN_TEXT_CHARS = 20;
+/** Tesseract engine mode: LSTM only (the bundled language data is the LSTM "best_int" model). */
+const OEM_LSTM_ONLY = 1;
+
+/**
+ * Tells whether a page needs OCR: its text layer is missing or nearly empty.
+ * @param {Array<Object>} lines - Lines extracted from the text layer
+ * @returns {boolean}
+ */
+export function needsOcr(lines) {
+  return lines.reduce((n, l) => n + l.text.length, 0) < MIN_TEXT_CHARS;
+}
+
+/**
+ * Starts an OCR engine for a language ("eng", "fra", or a combination such as "eng+fra").
+ * @param {string} lang - Tesseract language code(s); the data must be bundled locally
+ * @returns {Promise<{recognize: Function, terminate: Function}>}
+ */
+export async function createOcrEngine(lang) {
+  /** @type {Function|null} Progress callback of the page being recognized */
+  let onProgress = null;
+  const worker = await createWorker(lang.split("+"), OEM_LSTM_ONLY, {
+    ...TESSERACT_ASSETS,
+    workerBlobURL: false,
+    logger: (m) => {
+      if (m.status === "recognizing text") onProgress?.(m.progress);
+    },
+  });
+
+  return {
+    /**
+     * Renders a page and recognizes its text.
+     * @param {Object} page - pdf.js page proxy
+     * @param {Function} [progress] - Receives the recognition progress (0 to 1)
+     * @returns {Promise<Array<Object>>} Lines in reading order, in PDF units
+     */
+    async recognize(page, progress) {
+      const viewport = page.getViewport({ scale: OCR_SCALE });
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.ceil(viewport.width);
+      canvas.height = Math.ceil(viewport.height);
+      await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+
+      onProgress = progress || null;
+      try {
+        const { data } = await worker.recognize(canvas, {}, { text: true, blocks: true });
+        return toLines(data.blocks || [], viewport.height / OCR_SCALE);
+      } finally {
+        onProgress = null;
+        // Release the bitmap right away: scanned documents can have hundreds of pages.
+        canvas.width = 0;
+        canvas.height = 0;
+      }
+    },
+    terminate: () => worker.terminate(),
+  };
+}
+
+/**
+ * Converts Tesseract blocks (pixel coordinates, origin at the top) into pdf-text.js lines
+ * (PDF units, origin at the bottom). Each recognized word becomes a run.
+ * @param {Array<Object>} blocks - Tesseract result blocks
+ * @param {number} pageHeight - Page height in PDF units
+ * @returns {Array<Object>}
+ */
+function toLines(blocks, pageHeight) {
+  const lines = [];
+  for (const block of blocks) {
+    for (const paragraph of block.paragraphs) {
+      paragraph.lines.forEach((line, i) => {
+        const items = line.words
+          .filter(w => w.text.trim())
+          .map(w => ({
+            str: w.text,
+            x: w.bbox.x0 / OCR_SCALE,
+            y: pageHeight - w.bbox.y1 / OCR_SCALE,
+            width: (w.bbox.x1 - w.bbox.x0) / OCR_SCALE,
+            height: (w.bbox.y1 - w.bbox.y0) / OCR_SCALE,
+            fontName: null,
+          }));
+        if (items.length === 0) return;
+        lines.push({
+          text: items.map(r => r.str).join(" ").replace(/\s+/g, " ").trim(),
+          x: items[0].x,
+          y: pageHeight - line.bbox.y1 / OCR_SCALE,
+          height: (line.bbox.y1 - line.bbox.y0) / OCR_SCALE,
+          paragraphStart: i === 0,
+          items,
+        });
+      });
+    }
+  }
+  return lines;
+}
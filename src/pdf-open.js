@@ -0,0 +1,106 @@
+/**
+ * @file pdf-open.js
+ * @description Opening PDFs with pdf.js: password prompts, and messages the user can act on
+ * for encrypted, corrupt, truncated and image-only files.
+ * @author Warith Harchaoui
+ */
+import { getDocument, PasswordResponses } from "pdfjs-dist";
+
+/** The "%%EOF" marker must appear within this many bytes of the end of a complete PDF. */
+const EOF_WINDOW = 2048;
+
+/**
+ * Tells whether a PDF file looks cut short: its end-of-file marker is missing
+ * (interrupted download, partial copy).
+ * @param {Uint8Array} bytes - File content
+ * @returns {boolean}
+ */
+export function looksTruncated(bytes) {
+  const tail = new TextDecoder("latin1").decode(bytes.subarray(Math.max(0, bytes.length - EOF_WINDOW)));
+  return !tail.includes("%%EOF");
+}
+
+/**
+ * Opens a PDF, asking for its password when it is encrypted.
+ * @param {ArrayBuffer} data - File content (detached by pdf.js once opened)
+ * @param {Object} opts
+ * @param {string} opts.name - File name, for messages
+ * @param {Function} opts.askPassword - Called with `true` after a wrong password; returns the
+ *   password, or null to cancel
+ * @returns {Promise<{pdf: Object, truncated: boolean}>} The pdf.js document, and whether the
+ *   file looked truncated (pdf.js can often still read most of it)
+ * @throws {Error} With a user-facing message when the file cannot be opened
+ */
+export async function openPdf(data, { name, askPassword }) {
+  if (data.byteLength === 0) throw new Error(`"${name}" is empty.`);
+  // Checked before pdf.js takes the buffer.
+  const truncated = looksTruncated(new Uint8Array(data));
+
+  const task = getDocument({ data });
+  let cancelled = false;
+  task.onPassword = (updatePassword, reason) => {
+    const password = askPassword(reason === PasswordResponses.INCORRECT_PASSWORD);
+    if (password === null) {
+      cancelled = true;
+      task.destroy();
+    } else {
+      updatePassword(password);
+    }
+  };
+
+  try {
+    return { pdf: await task.promise, truncated };
+  } catch (err) {
+    if (cancelled) {
+      throw new Error(`"${name}" is password-protected; indexing was cancelled.`, { cause: err });
+    }
+    if (err?.name === "PasswordException") {
+      throw new Error(`"${name}" could not be decrypted with this password.`, { cause: err });
+    }
+    if (truncated) {
+      throw new Error(`"${name}" is truncated (the end of the file is missing). Download or copy it again.`, { cause: err });
+    }
+    if (err?.name === "InvalidPDFException" || err?.name === "FormatError") {
+      throw new Error(`"${name}" is not a valid PDF, or the file is corrupt.`, { cause: err });
+    }
+    throw new Error(`"${name}" could not be opened: ${err?.message || err}`, { cause: err });
+  }
+}
+
+/**
+ * Explains why no text came out of a PDF that opened.
+ * @param {string} name - File name
+ * @param {Object} report - What the page loop observed
+ * @param {number} report.numPages - Pages in the document
+ * @param {Array<number>} report.failedPages - Pages (1-based) that could not be read
+ * @param {number} report.scannedPages - Pages without a text layer
+ * @param {Error|null} report.ocrError - Why the OCR engine could not start, if it did not
+ * @param {string} report.ocrLanguage - OCR language used
+ * @returns {string}
+ */
+export function emptyDocumentMessage(name, { numPages, failedPages, scannedPages, ocrError, ocrLanguage }) {
+  if (numPages === 0) return `"${name}" has no pages.`;
+  if (failedPages.length === numPages) return `None of the ${numPages} pages of "${name}" could be read: the file is corrupt.`;
+  if (scannedPages > 0 && ocrError) {
+    return `"${name}" only contains scanned images and the OCR engine could not start (${ocrError.message}).`;
+  }
+  if (scannedPages > 0) {
+    return `"${name}" only contains scanned images and OCR found no text in them. ` +
+      `Check the OCR language in Settings (currently "${ocrLanguage}").`;
+  }
+  return `No text could be extracted from "${name}".`;
+}
+
+/**
+ * Formats page numbers compactly ("3, 7–9").
+ * @param {Array<number>} pages - Sorted page numbers
+ * @returns {string}
+ */
+export function formatPageList(pages) {
+  const ranges = [];
+  for (const p of pages) {
+    const last = ranges[ranges.length - 1];
+    if (last && p === last[1] + 1) last[1] = p; else ranges.push([p, p]);
+  }
+  return ranges.map(([a, b]) => (a === b ? `${a}` : `${a}–${b}`)).join(", ");
+}
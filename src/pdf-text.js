@@ -0,0 +1,354 @@
+/**
+ * @file pdf-text.js
+ * @description Layout-aware text reconstruction from pdf.js text content.
+ *
+ * DESIGN RATIONALE:
+ * pdf.js returns positioned text runs, not lines. Joining them with spaces runs lines
+ * together, interleaves the columns of two-column layouts and keeps running headers,
+ * footers and page numbers in every chunk. Here the runs are grouped into lines from their
+ * coordinates, split into columns when a vertical gutter is found, and grouped into
+ * paragraphs from line spacing. Lines repeated in the page margins across the document
+ * are removed before chunking, and tabular regions are turned into Markdown tables.
+ * @author Warith Harchaoui
+ */
+
+/** Number of lines at the top and at the bottom of a page checked for running headers/footers. */
+const MARGIN_LINES = 2;
+/** A margin line repeated on at least this share of the pages is a running header/footer. */
+const REPEAT_RATIO = 0.4;
+/** A line gap larger than this multiple of the typical spacing starts a new paragraph. */
+const PARAGRAPH_GAP = 1.6;
+/** A horizontal gap wider than this multiple of the font size separates two table cells. */
+const CELL_GAP = 1.0;
+/** Minimum number of rows (header included) for a region to be treated as a table. */
+const MIN_TABLE_ROWS = 3;
+
+/**
+ * @typedef {Object} Line
+ * @property {string} text - Line text
+ * @property {number} x - Left edge (PDF units)
+ * @property {number} y - Baseline (PDF units, origin at the bottom of the page)
+ * @property {number} height - Font size estimate
+ * @property {boolean} paragraphStart - True when the line starts a new paragraph
+ * @property {Array<Object>} [headings] - Sections starting at this line (see sections.js)
+ * @property {boolean} [isHeading] - True when the line is itself a heading
+ * @property {Array<Object>} items - Source pdf.js text items, left to right
+ */
+
+/** Converts a pdf.js text item into a positioned run. */
+function toRun(item) {
+  const [, , c, d, x, y] = item.transform;
+  const height = item.height || Math.hypot(c, d) || 10;
+  return { str: item.str, x, y, width: item.width || 0, height, fontName: item.fontName };
+}
+
+/**
+ * Looks for a vertical gutter separating two text columns.
+ * @param {Array<Object>} runs - Positioned runs of a page
+ * @param {number} pageWidth
+ * @returns {number|null} X coordinate of the gutter center, or null for single-column pages
+ */
+function detectGutter(runs, pageWidth) {
+  const BINS = 200;
+  const binWidth = pageWidth / BINS;
+  const coverage = new Array(BINS).fill(0);
+  // Full-width runs (titles, captions spanning both columns) would hide the gutter.
+  const body = runs.filter(r => r.width < pageWidth * 0.45);
+  if (body.length < 20) return null;
+
+  for (const r of body) {
+    const from = Math.max(0, Math.floor(r.x / binWidth));
+    const to = Math.min(BINS - 1, Math.floor((r.x + r.width) / binWidth));
+    for (let b = from; b <= to; b++) coverage[b]++;
+  }
+
+  // Longest empty run of bins in the central part of the page.
+  const tolerance = Math.max(1, Math.floor(body.length * 0.02));
+  let best = null;
+  let runStart = -1;
+  for (let b = Math.floor(BINS * 0.25); b <= Math.ceil(BINS * 0.75); b++) {
+    if (coverage[b] <= tolerance) {
+      if (runStart < 0) runStart = b;
+      if (!best || b - runStart > best.to - best.from) best = { from: runStart, to: b };
+    } else {
+      runStart = -1;
+    }
+  }
+  if (!best || (best.to - best.from + 1) * binWidth < pageWidth * 0.015) return null;
+
+  // Column text comes in long runs; short runs around a gap are more likely a table.
+  const widths = body.map(r => r.width).sort((a, b) => a - b);
+  if (widths[Math.floor(widths.length / 2)] < pageWidth * 0.2) return null;
+
+  const gutter = ((best.from + best.to + 1) / 2) * binWidth;
+  const left = body.filter(r => r.x + r.width <= gutter).length;
+  const right = body.filter(r => r.x >= gutter).length;
+  // Both sides must hold a real share of the text, otherwise it is just a wide margin.
+  if (left < body.length * 0.2 || right < body.length * 0.2) return null;
+  return gutter;
+}
+
+/**
+ * Groups runs into lines (top to bottom), joining runs left to right and flagging
+ * paragraph starts from the vertical spacing.
+ * @param {Array<Object>} runs
+ * @returns {Array<Line>}
+ */
+function buildLines(runs) {
+  const sorted = [...runs].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+  for (const r of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - r.y) <= Math.max(line.height, r.height) * 0.5) {
+      line.items.push(r);
+      line.height = Math.max(line.height, r.height);
+    } else {
+      lines.push({ y: r.y, height: r.height, items: [r] });
+    }
+  }
+
+  for (const line of lines) {
+    line.items.sort((a, b) => a.x - b.x);
+    line.x = line.items[0].x;
+    let text = "";
+    let prevEnd = null;
+    for (const r of line.items) {
+      // Insert a space when runs are visibly apart and none of them carries one.
+      const gap = prevEnd === null ? 0 : r.x - prevEnd;
+      if (text && gap > line.height * 0.15 && !/\s$/.test(text) && !/^\s/.test(r.str)) text += " ";
+      text += r.str;
+      prevEnd = r.x + r.width;
+    }
+    line.text = text.replace(/\s+/g, " ").trim();
+  }
+
+  const kept = lines.filter(l => l.text.length > 0);
+  const gaps = kept.slice(1).map((l, i) => kept[i].y - l.y).filter(g => g > 0).sort((a, b) => a - b);
+  const typical = gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : 0;
+  kept.forEach((l, i) => {
+    const gap = i === 0 ? Infinity : kept[i - 1].y - l.y;
+    l.paragraphStart = i === 0 || gap < 0 || (typical > 0 && gap > typical * PARAGRAPH_GAP);
+  });
+  return kept;
+}
+
+/**
+ * Reconstructs the lines of a page in reading order.
+ * Two-column pages are read column by column; lines spanning both columns (titles) are
+ * placed before or after the columns depending on their position.
+ * @param {Object} page - pdf.js page proxy
+ * @returns {Promise<{lines: Array<Line>, textContent: Object, width: number, height: number}>}
+ */
+export async function extractPageLayout(page) {
+  const textContent = await page.getTextContent();
+  const { width, height } = page.getViewport({ scale: 1 });
+  const runs = textContent.items.filter(i => typeof i.str === "string" && i.str.trim()).map(toRun);
+
+  const gutter = detectGutter(runs, width);
+  if (gutter === null) {
+    return { lines: buildLines(runs), textContent, width, height };
+  }
+
+  const left = buildLines(runs.filter(r => r.x + r.width <= gutter));
+  const right = buildLines(runs.filter(r => r.x >= gutter));
+  const spanning = buildLines(runs.filter(r => r.x < gutter && r.x + r.width > gutter));
+  const columnsTop = Math.max(left[0]?.y ?? -Infinity, right[0]?.y ?? -Infinity);
+  for (const l of [...left.slice(0, 1), ...right.slice(0, 1)]) l.paragraphStart = true;
+
+  return {
+    lines: [
+      ...spanning.filter(l => l.y > columnsTop),
+      ...left,
+      ...right,
+      ...spanning.filter(l => l.y <= columnsTop),
+    ],
+    textContent,
+    width,
+    height,
+  };
+}
+
+/** Normalizes a margin line so "Page 3" and "Page 4" compare equal. */
+function marginKey(text) {
+  return text.toLowerCase().replace(/\d+/g, "#").replace(/\s+/g, " ").trim();
+}
+
+/** Matches lines that are only a page number ("12", "- 12 -", "Page 3 of 10"). */
+const PAGE_NUMBER = /^[-–—\s]*(page|p\.)?\s*\d+(\s*(of|\/)\s*\d+)?[-–—\s]*$/i;
+
+/**
+ * Removes running headers, footers and page numbers: margin lines repeated across pages.
+ * @param {Array<Array<Line>>} pages - Lines of every page (mutated copies are returned)
+ * @returns {{pages: Array<Array<Line>>, removed: number}}
+ */
+export function stripRepeatedMargins(pages) {
+  const marginsOf = (lines) => {
+    const byY = [...lines].sort((a, b) => b.y - a.y);
+    return new Set([...byY.slice(0, MARGIN_LINES), ...byY.slice(-MARGIN_LINES)]);
+  };
+
+  const counts = new Map();
+  for (const lines of pages) {
+    for (const key of new Set([...marginsOf(lines)].map(l => marginKey(l.text)))) {
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+
+  const minRepeats = Math.max(2, Math.ceil(pages.length * REPEAT_RATIO));
+  let removed = 0;
+  const cleaned = pages.map(lines => {
+    const margins = marginsOf(lines);
+    return lines.filter(l => {
+      if (!margins.has(l)) return true;
+      const drop = PAGE_NUMBER.test(l.text) || (pages.length >= 3 && counts.get(marginKey(l.text)) >= minRepeats);
+      if (drop) removed++;
+      return !drop;
+    });
+  });
+  return { pages: cleaned, removed };
+}
+
+/**
+ * Turns reconstructed lines into text: lines of a paragraph are joined with spaces
+ * (re-joining hyphenated words), paragraphs are separated by blank lines. Headings
+ * (`isHeading`) always stand in a paragraph of their own.
+ * @param {Array<Line>} lines
+ * @param {Function} [onLine] - Called with each line and the offset of its text in the result
+ * @returns {string}
+ */
+export function linesToText(lines, onLine) {
+  let text = "";
+  let prev = null;
+  for (const l of lines) {
+    let offset;
+    if (!text) {
+      offset = 0;
+      text = l.text;
+    } else if (l.paragraphStart || l.isHeading || prev?.isHeading) {
+      offset = text.length + 2;
+      text += "\n\n" + l.text;
+    } else if (/[a-z]-$/.test(text) && /^[a-z]/.test(l.text)) {
+      offset = text.length - 1;
+      text = text.slice(0, -1) + l.text;
+    } else {
+      offset = text.length + 1;
+      text += " " + l.text;
+    }
+    onLine?.(l, offset);
+    prev = l;
+  }
+  return text;
+}
+
+/**
+ * Splits a line into cells at wide horizontal gaps.
+ * @param {Line} line
+ * @returns {Array<{x: number, text: string}>}
+ */
+function lineCells(line) {
+  const cells = [];
+  let prevEnd = null;
+  for (const r of line.items) {
+    const cell = cells[cells.length - 1];
+    if (cell && r.x - prevEnd <= line.height * CELL_GAP) {
+      cell.text += (/\s$/.test(cell.text) || /^\s/.test(r.str) ? "" : " ") + r.str;
+    } else {
+      cells.push({ x: r.x, text: r.str });
+    }
+    prevEnd = r.x + r.width;
+  }
+  return cells.map(c => ({ x: c.x, text: c.text.replace(/\s+/g, " ").trim() })).filter(c => c.text);
+}
+
+/**
+ * Clusters cell positions of a region into column anchors.
+ * @returns {Array<number>} Left edges of the columns, sorted
+ */
+function columnAnchors(rows, tolerance) {
+  const xs = rows.flat().map(c => c.x).sort((a, b) => a - b);
+  const clusters = [];
+  for (const x of xs) {
+    const last = clusters[clusters.length - 1];
+    if (last && x - last.max <= tolerance) {
+      last.max = x;
+      last.count++;
+    } else {
+      clusters.push({ min: x, max: x, count: 1 });
+    }
+  }
+  // A column must be used by at least two rows.
+  return clusters.filter(c => c.count >= 2).map(c => c.min);
+}
+
+/**
+ * Turns a table region into rows of cells aligned on its columns, or null when the
+ * cells do not line up (e.g. justified prose with wide word gaps).
+ */
+function alignTable(region) {
+  const height = Math.max(...region.map(l => l.height));
+  const cellRows = region.map(lineCells);
+  const anchors = columnAnchors(cellRows, height * 1.5);
+  if (anchors.length < 2) return null;
+
+  let aligned = 0;
+  const rows = cellRows.map(cells => {
+    const row = new Array(anchors.length).fill("");
+    for (const c of cells) {
+      let col = 0;
+      while (col + 1 < anchors.length && anchors[col + 1] <= c.x + height * 0.75) col++;
+      row[col] = row[col] ? `${row[col]} ${c.text}` : c.text;
+    }
+    if (row.filter(Boolean).length >= 2) aligned++;
+    return row;
+  });
+  return aligned >= Math.ceil(rows.length * 0.6) ? rows : null;
+}
+
+/**
+ * Separates tabular regions from the prose lines of a page.
+ * A table is a run of at least MIN_TABLE_ROWS consecutive lines split into two or more
+ * cells by wide gaps, whose cells line up on common columns. The first row is the header.
+ * @param {Array<Line>} lines - Lines of a page, in reading order
+ * @returns {{lines: Array<Line>, tables: Array<Array<Array<string>>>}} Prose lines and tables (rows of cells)
+ */
+export function extractTables(lines) {
+  const prose = [];
+  const tables = [];
+  let region = [];
+
+  const flush = () => {
+    const rows = region.length >= MIN_TABLE_ROWS ? alignTable(region) : null;
+    if (rows) {
+      tables.push(rows);
+    } else {
+      prose.push(...region);
+    }
+    region = [];
+  };
+
+  for (const line of lines) {
+    if (lineCells(line).length >= 2) {
+      region.push(line);
+    } else {
+      flush();
+      prose.push(line);
+    }
+  }
+  flush();
+  return { lines: prose, tables };
+}
+
+/**
+ * Renders table rows as a Markdown table (first row as header).
+ * @param {Array<Array<string>>} rows
+ * @returns {string}
+ */
+export function tableToMarkdown(rows) {
+  const escape = (cell) => cell.replace(/\|/g, "\\|");
+  const [header, ...body] = rows;
+  return [
+    `| ${header.map(escape).join(" | ")} |`,
+    `| ${header.map(() => "---").join(" | ")} |`,
+    ...body.map(row => `| ${row.map(escape).join(" | ")} |`),
+  ].join("\n");
+}
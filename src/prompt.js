@@ -0,0 +1,148 @@
+/**
+ * @file prompt.js
+ * @description Token-budget-aware prompt assembly.
+ *
+ * DESIGN RATIONALE:
+ * The system prompt, the history, the retrieved fragments and the generated answer must all
+ * fit in the `n_ctx` window; when they do not, llama.cpp silently drops tokens. The assembler
+ * counts tokens with the model's own tokenizer, reserves room for generation, trims the oldest
+ * turns first, and fits as many ranked fragments as the remaining budget allows.
+ * @author Warith Harchaoui
+ */
+import { buildChatMessages } from "./sessions.js";
+
+/** Approximate tokens added by the chat template around each message (role markers). */
+const TEMPLATE_OVERHEAD = 8;
+/** Tokens kept free on top of the generation reserve, to absorb tokenization drift. */
+const SAFETY_MARGIN = 32;
+
+const CONTEXT_HEADER = "\nContext from documents:\n";
+
+/**
+ * Formats one retrieved fragment as injected into the prompt.
+ * The page is part of the label so the model can cite it ("p. 12"), the section path
+ * tells it what the passage is about.
+ * @param {{source: string, pages?: string, section?: string, text: string}} fragment
+ */
+function formatFragment(fragment) {
+  const where = fragment.pages ? `${fragment.source}, ${fragment.pages}` : fragment.source;
+  const section = fragment.section ? `; section: ${fragment.section}` : "";
+  return `--- DOCUMENT FRAGMENT (source: ${where}${section}) ---\n${fragment.text}\n`;
+}
+
+/**
+ * Formats the document context appended to a question.
+ * @param {Array<{source: string, text: string}>} fragments - Fragments, in ranked order
+ * @returns {string} Empty when there is no fragment
+ */
+export function formatContext(fragments) {
+  if (fragments.length === 0) return "";
+  return CONTEXT_HEADER + fragments.map(formatFragment).join("");
+}
+
+/**
+ * Assembles the messages of a chat turn within the context window.
+ *
+ * @param {Object} wllama - Wllama instance with a loaded model
+ * @param {Object} opts
+ * @param {Object} opts.session - Active session (history without the current question)
+ * @param {string} opts.question - The user's question
+ * @param {Array<{source: string, text: string, fallback?: Object}>} opts.fragments - Ranked
+ *   candidate fragments; `fallback` is a shorter version used when a fragment does not fit
+ * @param {string} [opts.emptyContext] - Context used when no fragment is available or fits
+ * @param {number} opts.contextTurns - Context retention policy (see buildChatMessages)
+ * @param {number} opts.nCtx - Context window size of the loaded model
+ * @param {number} opts.nPredict - Tokens reserved for the answer
+ * @param {number} opts.contextReserve - Tokens guaranteed to fragments before history is kept
+ * @returns {Promise<{messages: Array, fragments: Array, context: string, usage: Object}>}
+ *   The prompt messages, the fragments that fit, the context attached to the question,
+ *   and a token usage breakdown for the UI meter.
+ */
+export async function assemblePrompt(wllama, opts) {
+  const { session, question, fragments, emptyContext = "", contextTurns, nCtx, nPredict, contextReserve } = opts;
+  const count = async (text) => (await wllama.tokenize(text)).length;
+  const budget = nCtx - nPredict - SAFETY_MARGIN;
+
+  // Previous turns keep their context per the retention policy; the current turn is one of them.
+  const [system, ...history] = buildChatMessages(session, contextTurns - 1);
+  const systemTokens = await count(system.content) + TEMPLATE_OVERHEAD;
+  const questionTokens = await count(question) + TEMPLATE_OVERHEAD;
+  const headerTokens = fragments.length > 0 ? await count(CONTEXT_HEADER) : 0;
+  const fragmentTokens = [];
+  for (const f of fragments) fragmentTokens.push(await count(formatFragment(f)));
+  const historyTokens = [];
+  for (const m of history) historyTokens.push(await count(m.content) + TEMPLATE_OVERHEAD);
+
+  // 1. History: newest turns first, within what is left once fragments got their reserve.
+  const wantedFragments = fragmentTokens.length > 0 ? headerTokens + fragmentTokens.reduce((a, b) => a + b, 0) : 0;
+  const historyBudget = budget - systemTokens - questionTokens - Math.min(contextReserve, wantedFragments);
+  let keepFrom = history.length;
+  let historyUsed = 0;
+  while (keepFrom > 0 && historyUsed + historyTokens[keepFrom - 1] <= historyBudget) {
+    keepFrom--;
+    historyUsed += historyTokens[keepFrom];
+  }
+  // Never start the kept history with an orphan assistant answer.
+  while (keepFrom < history.length && history[keepFrom].role !== "user") {
+    historyUsed -= historyTokens[keepFrom];
+    keepFrom++;
+  }
+
+  // 2. Fragments: in ranked order, as long as they fit in the remaining budget. An expanded
+  //    passage that does not fit falls back to the chunk that matched (see expandHits).
+  let remaining = budget - systemTokens - questionTokens - historyUsed - headerTokens;
+  let kept = [];
+  /** @type {Map<Object, number>} Tokens of each kept fragment (or of its fallback) */
+  const keptTokens = new Map();
+  for (let i = 0; i < fragments.length; i++) {
+    let f = fragments[i];
+    let tokens = fragmentTokens[i];
+    if (tokens > remaining && f.fallback) {
+      f = f.fallback;
+      tokens = await count(formatFragment(f));
+    }
+    if (tokens <= remaining) {
+      kept.push(f);
+      keptTokens.set(f, tokens);
+      remaining -= tokens;
+    }
+  }
+
+  // 3. Verify against the exact templated prompt; estimates can be off by a few tokens.
+  const build = () => {
+    const context = kept.length > 0 ? formatContext(kept) : emptyContext;
+    return {
+      context,
+      messages: [system, ...history.slice(keepFrom), { role: "user", content: question + context }],
+    };
+  };
+  let assembled = build();
+  let total = await count(await wllama.formatChat(assembled.messages, true));
+  while (total > nCtx - nPredict && (kept.length > 0 || keepFrom < history.length)) {
+    if (keepFrom < history.length) {
+      keepFrom += history[keepFrom + 1]?.role === "assistant" ? 2 : 1;
+    } else {
+      kept = kept.slice(0, -1);
+    }
+    assembled = build();
+    total = await count(await wllama.formatChat(assembled.messages, true));
+  }
+
+  const documentsTokens = kept.length > 0
+    ? headerTokens + kept.reduce((sum, f) => sum + keptTokens.get(f), 0)
+    : 0;
+  return {
+    ...assembled,
+    fragments: kept,
+    usage: {
+      total,
+      nCtx,
+      nPredict,
+      system: systemTokens,
+      history: historyTokens.slice(keepFrom).reduce((a, b) => a + b, 0),
+      documents: documentsTokens,
+      question: questionTokens,
+      droppedMessages: keepFrom,
+    },
+  };
+}
@@ -0,0 +1,51 @@
+/**
+ * @file query-rewrite.js
+ * @description Conversational query rewriting before retrieval.
+ *
+ * DESIGN RATIONALE:
+ * Follow-ups such as "and what about the second one?" carry no searchable content on
+ * their own, so embedding them as-is retrieves unrelated fragments. The loaded chat model
+ * rewrites the follow-up into a standalone query using the recent history; only that
+ * query is used for retrieval, the user's question is still what the model answers.
+ * @author Warith Harchaoui
+ */
+
+/** Number of most recent history messages given to the rewriter. */
+const HISTORY_MESSAGES = 4;
+/** Each history message is truncated to this many characters to keep the prompt small. */
+const MAX_MESSAGE_CHARS = 300;
+
+const REWRITE_INSTRUCTIONS = "You rewrite follow-up questions into standalone search queries. " +
+  "Use the conversation to resolve pronouns and references. " +
+  "Reply with the query only, on one line, without quotes or explanations.";
+
+/**
+ * Rewrites a follow-up question into a standalone search query.
+ * Returns the question unchanged when there is no history or the model output is unusable.
+ * @param {Object} wllama - Wllama instance with a loaded model (in generation mode)
+ * @param {Array<Object>} history - Session messages before the question
+ * @param {string} question - The user's latest question
+ * @returns {Promise<string>}
+ */
+export async function rewriteQuery(wllama, history, question) {
+  const recent = history.slice(-HISTORY_MESSAGES);
+  if (recent.length === 0) return question;
+
+  const transcript = recent.map(m => {
+    const text = (m.display ?? m.content).replace(/\s+/g, " ").slice(0, MAX_MESSAGE_CHARS);
+    return `${m.role === "user" ? "User" : "Assistant"}: ${text}`;
+  }).join("\n");
+
+  const output = await wllama.createChatCompletion([
+    { role: "system", content: REWRITE_INSTRUCTIONS },
+    { role: "user", content: `Conversation:\n${transcript}\n\nFollow-up question: ${question}\n\nStandalone search query:` },
+  ], {
+    nPredict: 64,
+    sampling: { temp: 0 },
+  });
+
+  const query = output.trim().split("\n")[0].replace(/^["'“]|["'”]$/g, "").trim();
+  // Guard against rambling or empty answers from small models.
+  if (!query || query.length > question.length * 4 + 200) return question;
+  return query;
+}
@@ -0,0 +1,282 @@
+/**
+ * @file retrieval.js
+ * @description Ranking of document fragments for a query across the enabled documents.
+ * @author Warith Harchaoui
+ */
+import { buildBm25Index, matchIdentifiers, scoreBm25 } from "./bm25.js";
+
+/**
+ * Constant of the reciprocal rank fusion. 60 is the value from the original RRF paper:
+ * it dampens the advantage of the very first ranks so both rankings contribute.
+ */
+const RRF_K = 60;
+
+/**
+ * Standard Cosine Similarity for vector comparison.
+ */
+export function cosineSimilarity(v1, v2) {
+  let dot = 0;
+  let m1 = 0;
+  let m2 = 0;
+  for (let i = 0; i < v1.length; i++) {
+    dot += v1[i] * v2[i];
+    m1 += v1[i] * v1[i];
+    m2 += v2[i] * v2[i];
+  }
+  return dot / (Math.sqrt(m1) * Math.sqrt(m2));
+}
+
+/**
+ * Merges the BM25 indexes of several documents into one, so term statistics (IDF,
+ * average length) are computed over the whole searched collection.
+ * Indexes written before hybrid retrieval existed are built on the fly.
+ * @param {Array<Object>} docs - Library documents
+ */
+function mergeBm25Indexes(docs) {
+  const docFreq = Object.create(null);
+  const termFreqs = [];
+  const lengths = [];
+  for (const doc of docs) {
+    doc.bm25 ??= buildBm25Index(doc.chunks.map(c => c.text));
+    for (const [t, df] of Object.entries(doc.bm25.docFreq)) docFreq[t] = (docFreq[t] || 0) + df;
+    termFreqs.push(...doc.bm25.termFreqs);
+    lengths.push(...doc.bm25.lengths);
+  }
+  const avgLength = lengths.reduce((a, b) => a + b, 0) / (lengths.length || 1);
+  return { docFreq, termFreqs, lengths, avgLength };
+}
+
+/**
+ * Ranks every fragment of the given documents with hybrid BM25 + vector retrieval.
+ *
+ * DESIGN RATIONALE:
+ * Cosine and BM25 scores live on unrelated scales, so they are fused by rank rather than
+ * by value (Reciprocal Rank Fusion). The weight trades the vector ranking for the lexical one.
+ * Fragments without any query term get no lexical contribution.
+ *
+ * @param {Array<Object>} docs - Enabled library documents
+ * @param {Float32Array|Array<number>} queryEmbedding - Embedding of the query
+ * @param {string} queryText - Raw query, for lexical matching
+ * @param {number} hybridWeight - Weight of the BM25 ranking, in [0, 1]
+ * @returns {Array<{doc: Object, idx: number, score: number, bm25: number, identifier: boolean, fused: number}>}
+ *   All fragments, best first. `score` is the cosine similarity; `identifier` is set when the
+ *   fragment contains an identifier-like query term (see matchIdentifiers).
+ */
+export function rankFragments(docs, queryEmbedding, queryText, hybridWeight) {
+  const candidates = docs.flatMap(doc => doc.embeddings.map((emb, idx) => ({
+    doc,
+    idx,
+    score: cosineSimilarity(queryEmbedding, emb),
+    bm25: 0,
+    identifier: false,
+    fused: 0,
+  })));
+
+  const index = mergeBm25Indexes(docs);
+  const bm25Scores = scoreBm25(index, queryText);
+  const identifiers = matchIdentifiers(index, queryText);
+  candidates.forEach((c, i) => {
+    c.bm25 = bm25Scores[i];
+    c.identifier = identifiers[i];
+  });
+
+  [...candidates].sort((a, b) => b.score - a.score).forEach((c, rank) => {
+    c.fused += (1 - hybridWeight) / (RRF_K + rank + 1);
+  });
+  [...candidates].filter(c => c.bm25 > 0).sort((a, b) => b.bm25 - a.bm25).forEach((c, rank) => {
+    c.fused += hybridWeight / (RRF_K + rank + 1);
+  });
+
+  return candidates.sort((a, b) => b.fused - a.fused);
+}
+
+/**
+ * Keeps the ranked fragments relevant enough to be injected.
+ *
+ * DESIGN RATIONALE:
+ * Injecting unrelated text makes small models answer confidently from it, so fragments below
+ * the similarity threshold are dropped. Exact identifiers (part numbers, error codes) are what
+ * small models embed poorly, so the best lexical matches on such terms are exempt when
+ * lexical ranking is on. Plain words do not count: nearly every fragment shares one with the
+ * query, and an off-topic question must still leave nothing to inject.
+ *
+ * @param {Array<Object>} ranked - Output of rankFragments
+ * @param {number} minSimilarity - Cosine threshold
+ * @param {number} hybridWeight - Weight of the BM25 ranking; 0 disables the exemption
+ * @param {number} maxExempt - How many identifier matches may bypass the threshold
+ * @returns {Array<Object>} The kept fragments, in ranked order
+ */
+export function filterRelevant(ranked, minSimilarity, hybridWeight, maxExempt) {
+  const exempt = new Set(hybridWeight > 0
+    ? ranked.filter(c => c.identifier && c.bm25 > 0).sort((a, b) => b.bm25 - a.bm25).slice(0, maxExempt)
+    : []);
+  return ranked.filter(c => c.score >= minSimilarity || exempt.has(c));
+}
+
+/**
+ * Selects fragments with Maximal Marginal Relevance over a candidate pool.
+ *
+ * DESIGN RATIONALE:
+ * Consecutive chunks overlap (see chunkText), so the best-ranked fragments are often
+ * near-copies of each other. MMR picks, at each step, the candidate that best balances
+ * relevance against similarity to what was already selected, so the injected context
+ * covers distinct parts of the documents.
+ *
+ * @param {Array<Object>} ranked - Output of rankFragments (best first)
+ * @param {number} k - Number of fragments to select
+ * @param {number} lambda - 1 = pure relevance, 0 = pure diversity
+ * @param {number} poolSize - How many top-ranked fragments are considered
+ * @returns {Array<Object>} Selected fragments, in selection order
+ */
+export function selectMmr(ranked, k, lambda, poolSize) {
+  const pool = ranked.slice(0, Math.max(k, poolSize));
+  if (pool.length === 0) return [];
+
+  // Fused scores are tiny rank-based values: rescale them to [0, 1] to compare with cosine.
+  const maxFused = pool[0].fused || 1;
+  const selected = [];
+  const remaining = [...pool];
+
+  while (selected.length < k && remaining.length > 0) {
+    let bestIdx = 0;
+    let bestValue = -Infinity;
+    remaining.forEach((c, i) => {
+      const relevance = c.fused / maxFused;
+      const redundancy = selected.length === 0 ? 0 : Math.max(...selected.map(s =>
+        cosineSimilarity(c.doc.embeddings[c.idx], s.doc.embeddings[s.idx])));
+      const value = lambda * relevance - (1 - lambda) * redundancy;
+      if (value > bestValue) {
+        bestValue = value;
+        bestIdx = i;
+      }
+    });
+    selected.push(remaining.splice(bestIdx, 1)[0]);
+  }
+  return selected;
+}
+
+/** Section expansion stops before the passage exceeds this many characters (about 750 tokens). */
+const MAX_PARENT_CHARS = 3000;
+/**
+ * Consecutive chunks farther apart than this (in document characters) are not continuous
+ * text: a chunk between them was dropped (duplicate, failed embedding) or is a table.
+ */
+const MAX_JOIN_GAP = 4;
+
+/**
+ * Tells whether a chunk continues the text of the one before it, from their offsets.
+ * Chunks without offsets (indexed before page tracking) are never joined.
+ */
+function continues(prev, next) {
+  return Number.isFinite(prev.end) && Number.isFinite(next.start) && next.start - prev.end <= MAX_JOIN_GAP;
+}
+
+/**
+ * Range of chunks given to the model for a hit: the hit alone, its neighbours, or as much of
+ * its section as fits MAX_PARENT_CHARS, growing alternately before and after the hit.
+ * A range never crosses a section boundary or a gap in the text (see MAX_JOIN_GAP), and never
+ * includes table chunks (their text repeats the table header, so it cannot be stitched to the
+ * prose around it).
+ */
+function parentRange(chunks, idx, mode, window) {
+  let first = idx;
+  let last = idx;
+  if (chunks[idx].table || mode === "off") return { first, last };
+  // Chunk j can extend the range when it sits right before its first or right after its last chunk.
+  const joins = (j) => j >= 0 && j < chunks.length && !chunks[j].table && chunks[j].section === chunks[idx].section &&
+    (j < idx ? continues(chunks[j], chunks[j + 1]) : continues(chunks[j - 1], chunks[j]));
+
+  if (mode === "neighbours") {
+    while (first > idx - window && joins(first - 1)) first--;
+    while (last < idx + window && joins(last + 1)) last++;
+    return { first, last };
+  }
+
+  let length = chunks[idx].text.length;
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const j of [first - 1, last + 1]) {
+      if (!joins(j) || length + chunks[j].text.length > MAX_PARENT_CHARS) continue;
+      length += chunks[j].text.length;
+      if (j < first) first = j; else last = j;
+      grew = true;
+    }
+  }
+  return { first, last };
+}
+
+/**
+ * Small-to-big retrieval: hits are matched on small chunks, then widened to a parent passage
+ * (neighbouring chunks or the enclosing section), so the model reads the surrounding text.
+ * Passages of the same document and section that overlap or touch are merged into one.
+ *
+ * @param {Array<Object>} selected - Selected fragments (output of selectMmr), best first
+ * @param {Object} opts
+ * @param {string} opts.mode - "off" (hits only), "neighbours" or "section"
+ * @param {number} opts.window - Neighbours added on each side in "neighbours" mode
+ * @returns {Array<{doc: Object, first: number, last: number, hits: Array<Object>}>} Passages
+ *   as chunk index ranges, ordered by their best hit; `hits` are the fragments they contain
+ */
+export function expandHits(selected, { mode, window }) {
+  const passages = [];
+  const absorb = (into, from) => {
+    into.first = Math.min(into.first, from.first);
+    into.last = Math.max(into.last, from.last);
+    into.hits.push(...from.hits);
+  };
+  const mergeable = (a, b) => {
+    const chunks = a.doc.chunks;
+    if (a.doc !== b.doc || a.first > b.last + 1 || b.first > a.last + 1) return false;
+    if (chunks[a.first].table || chunks[b.first].table || chunks[a.first].section !== chunks[b.first].section) return false;
+    // Ranges that only touch by index must also touch in the text.
+    if (a.last + 1 === b.first) return continues(chunks[a.last], chunks[b.first]);
+    if (b.last + 1 === a.first) return continues(chunks[b.last], chunks[a.first]);
+    return true;
+  };
+
+  for (const hit of selected) {
+    const passage = { doc: hit.doc, ...parentRange(hit.doc.chunks, hit.idx, mode, window), hits: [hit] };
+    const target = passages.find(p => mergeable(p, passage));
+    if (!target) {
+      passages.push(passage);
+      continue;
+    }
+    absorb(target, passage);
+    // The grown passage can now touch another one: absorb it too.
+    let other;
+    while ((other = passages.find(p => p !== target && mergeable(p, target)))) {
+      absorb(target, other);
+      passages.splice(passages.indexOf(other), 1);
+    }
+  }
+  return passages;
+}
+
+/**
+ * Text of a range of consecutive chunks, as continuous text: the overlap between neighbours
+ * (see chunkText) is not repeated, and paragraph breaks between them are kept.
+ * @param {Array<Object>} chunks - Chunks of a document, in document order
+ * @param {number} first - Index of the first chunk
+ * @param {number} last - Index of the last chunk (included)
+ * @returns {string}
+ */
+export function passageText(chunks, first, last) {
+  let text = chunks[first].text;
+  for (let i = first + 1; i <= last; i++) {
+    const prev = chunks[i - 1];
+    const chunk = chunks[i];
+    const gap = chunk.start - prev.end;
+    if (gap < 0) {
+      text += chunk.text.slice(Math.min(chunk.text.length, -gap));
+    } else if (gap === 0) {
+      // Cut inside a run of text without spaces (Chinese, Japanese, Thai).
+      text += chunk.text;
+    } else {
+      // A paragraph break takes at least two characters; chunks without offsets (indexed
+      // before page tracking) are kept apart as paragraphs.
+      text += (gap === 1 ? " " : "\n\n") + chunk.text;
+    }
+  }
+  return text;
+}
@@ -0,0 +1,241 @@
+/**
+ * @file sections.js
+ * @description Section structure of a PDF: headings from the outline (bookmarks) or, when the
+ * file has none, inferred from font size and weight. Each chunk is tagged with the path of the
+ * section it starts in ("3 Installation > 3.2 Linux").
+ *
+ * DESIGN RATIONALE:
+ * A fragment such as "Run the installer as root." is ambiguous on its own; the section it
+ * belongs to disambiguates it, both for retrieval (the path is prepended to the embedded text)
+ * and for the reader checking the sources of an answer.
+ * @author Warith Harchaoui
+ */
+
+/** Separator between the levels of a section path. */
+const PATH_SEPARATOR = " > ";
+/** Headings longer than this are cut in section paths. */
+const MAX_TITLE_LENGTH = 80;
+/** Longer lines are body text, whatever their font. */
+const MAX_HEADING_LENGTH = 100;
+/** A line whose font is this much larger than the body text is a heading candidate. */
+const HEADING_SIZE_RATIO = 1.15;
+/** Distinct heading font sizes kept as levels; smaller ones are merged into the last level. */
+const MAX_SIZE_LEVELS = 3;
+/** When more lines than this share look like headings, the styling carries no structure. */
+const MAX_HEADING_SHARE = 0.3;
+/** Leading section numbering ("3.2 Linux"): its depth gives the heading level. */
+const NUMBERING = /^(\d+(?:\.\d+)*)\.?\s+\S/;
+
+/**
+ * @typedef {Object} Heading
+ * @property {number} level - 1 for top-level sections
+ * @property {string} title - Heading text
+ */
+
+/**
+ * Resolves an outline destination to a page index and, when given, the top of the target area.
+ * @returns {Promise<{pageIndex: number, top: number|null}|null>}
+ */
+async function resolveDestination(pdf, dest) {
+  try {
+    const explicit = typeof dest === "string" ? await pdf.getDestination(dest) : dest;
+    const ref = explicit?.[0];
+    if (ref === undefined || ref === null) return null;
+    const pageIndex = typeof ref === "number" ? ref : await pdf.getPageIndex(ref);
+    const top = explicit[1]?.name === "XYZ" && typeof explicit[3] === "number" ? explicit[3] : null;
+    return { pageIndex, top };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads the outline of a PDF as a flat list of headings, in document order.
+ * Entries without a usable destination (e.g. part titles) take the page of the next entry.
+ * @param {Object} pdf - pdf.js document proxy
+ * @returns {Promise<Array<Heading & {pageIndex: number, top: number|null}>>} Empty when the
+ *   file has no outline
+ */
+export async function readOutline(pdf) {
+  let outline;
+  try {
+    outline = await pdf.getOutline();
+  } catch (err) {
+    console.warn("Could not read the PDF outline:", err);
+    return [];
+  }
+
+  const entries = [];
+  const walk = async (items, level) => {
+    for (const item of items || []) {
+      const title = (item.title || "").replace(/\s+/g, " ").trim();
+      const target = await resolveDestination(pdf, item.dest);
+      if (title) entries.push({ level, title, pageIndex: target?.pageIndex ?? null, top: target?.top ?? null });
+      await walk(item.items, level + 1);
+    }
+  };
+  await walk(outline, 1);
+
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].pageIndex === null && i + 1 < entries.length) entries[i].pageIndex = entries[i + 1].pageIndex;
+  }
+  return entries.filter(e => e.pageIndex !== null);
+}
+
+/** Normalizes a heading for comparison (case, punctuation and spacing). */
+function headingKey(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+/**
+ * Places outline entries on the lines where their sections start.
+ * An entry whose title is found on its page marks that line as a heading; otherwise the section
+ * starts at the destination's vertical position, or at the top of the page.
+ * @param {Array<Array<Object>>} pages - Lines of every page (mutated: `headings`, `isHeading`)
+ * @param {Array<Object>} outline - Entries from readOutline
+ */
+export function markOutlineHeadings(pages, outline) {
+  let carried = [];
+  pages.forEach((lines, pageIndex) => {
+    const entries = [...carried, ...outline.filter(e => e.pageIndex === pageIndex)];
+    // Sections of a page without text start on the next page with text.
+    if (lines.length === 0) {
+      carried = entries;
+      return;
+    }
+    carried = [];
+
+    for (const entry of entries) {
+      const key = headingKey(entry.title);
+      const match = lines.find(l => !l.isHeading && headingKey(l.text).startsWith(key) && key.length > 0);
+      const heading = { level: entry.level, title: entry.title };
+      if (match) {
+        match.isHeading = true;
+        match.headings = [...(match.headings || []), heading];
+        continue;
+      }
+      const below = entry.top === null ? null : lines.find(l => l.y <= entry.top);
+      const at = below || lines[0];
+      at.headings = [...(at.headings || []), heading];
+    }
+  });
+}
+
+/**
+ * Flags lines drawn in a bold font, for heading inference.
+ * Font objects are only available once the page's operator list has been built.
+ * @param {Object} page - pdf.js page proxy
+ * @param {Array<Object>} lines - Lines of the page (mutated: `bold`)
+ */
+export async function annotateBoldLines(page, lines) {
+  try {
+    await page.getOperatorList();
+  } catch (err) {
+    console.warn("Could not load page fonts:", err);
+    return;
+  }
+  const isBold = (fontName) => {
+    if (!fontName || !page.commonObjs.has(fontName)) return false;
+    const font = page.commonObjs.get(fontName);
+    return !!(font.bold || font.black || /bold|black|heavy|semibold/i.test(font.name || ""));
+  };
+  for (const l of lines) {
+    l.bold = l.items.every(r => isBold(r.fontName));
+  }
+}
+
+/**
+ * Infers headings from styling when a PDF has no outline: short lines starting a paragraph,
+ * set in a font clearly larger than the body text, or in bold at body size. Larger fonts give
+ * higher levels; a leading section number ("3.2") sets the level from its depth instead.
+ * @param {Array<Array<Object>>} pages - Lines of every page (mutated: `headings`, `isHeading`)
+ * @returns {number} Number of headings found
+ */
+export function markInferredHeadings(pages) {
+  // Body size: the font size carrying the most characters.
+  const weights = new Map();
+  for (const lines of pages) {
+    for (const l of lines) {
+      const size = Math.round(l.height * 2) / 2;
+      weights.set(size, (weights.get(size) || 0) + l.text.length);
+    }
+  }
+  if (weights.size === 0) return 0;
+  const body = [...weights.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+  const candidates = [];
+  for (const lines of pages) {
+    for (const l of lines) {
+      if (!l.paragraphStart || l.text.length > MAX_HEADING_LENGTH) continue;
+      if (!/\p{L}/u.test(l.text) || /[.,;]$/.test(l.text)) continue;
+      const larger = l.height >= body * HEADING_SIZE_RATIO;
+      if (larger || (l.bold && l.height >= body * 0.95)) candidates.push({ line: l, larger });
+    }
+  }
+  const lineCount = pages.reduce((n, lines) => n + lines.length, 0);
+  if (candidates.length > lineCount * MAX_HEADING_SHARE) return 0;
+
+  const sizes = [...new Set(candidates.filter(c => c.larger).map(c => Math.round(c.line.height * 2) / 2))]
+    .sort((a, b) => b - a);
+  for (const { line, larger } of candidates) {
+    const numbering = line.text.match(NUMBERING);
+    const rank = sizes.indexOf(Math.round(line.height * 2) / 2);
+    const level = numbering
+      ? numbering[1].split(".").length
+      : larger ? Math.min(rank, MAX_SIZE_LEVELS - 1) + 1 : Math.min(sizes.length, MAX_SIZE_LEVELS) + 1;
+    line.isHeading = true;
+    line.headings = [{ level, title: line.text }];
+  }
+  return candidates.length;
+}
+
+/**
+ * Builds a lookup of the section path in effect at a document offset.
+ * @param {Array<Heading & {offset: number}>} headings - Section starts in the document text
+ * @returns {Function} (offset) => section path, or undefined before the first heading
+ */
+export function sectionLookup(headings) {
+  const sorted = [...headings].sort((a, b) => a.offset - b.offset);
+  const stack = [];
+  const paths = sorted.map(h => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= h.level) stack.pop();
+    const title = h.title.length > MAX_TITLE_LENGTH ? `${h.title.slice(0, MAX_TITLE_LENGTH)}…` : h.title;
+    stack.push({ level: h.level, title });
+    return stack.map(s => s.title).join(PATH_SEPARATOR);
+  });
+
+  return (offset) => {
+    // Binary search for the last heading at or before the offset.
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid].offset <= offset) lo = mid + 1; else hi = mid;
+    }
+    return lo > 0 ? paths[lo - 1] : undefined;
+  };
+}
+
+/**
+ * Tags each chunk with the section path in effect at its first character.
+ * @param {Array<Object>} chunks - Chunks with document offsets (mutated: `section`)
+ * @param {Array<Heading & {offset: number}>} headings - Section starts in the document text
+ * @returns {Array<Object>} The same chunks
+ */
+export function assignSections(chunks, headings) {
+  const sectionAt = sectionLookup(headings);
+  for (const c of chunks) {
+    const section = sectionAt(c.start);
+    if (section) c.section = section;
+  }
+  return chunks;
+}
+
+/**
+ * Text given to the embedding model for a chunk: its section path, then its text.
+ * @param {Object} chunk
+ * @returns {string}
+ */
+export function embeddingText(chunk) {
+  return chunk.section ? `${chunk.section}\n${chunk.text}` : chunk.text;
+}
@@ -0,0 +1,176 @@
+/**
+ * @file segmentation.js
+ * @description Locale-aware sentence and word boundaries for chunking, with `Intl.Segmenter`.
+ *
+ * DESIGN RATIONALE:
+ * Looking for ". " breaks on abbreviations ("Dr. Smith") and finds nothing in Chinese, Japanese
+ * or Thai, which have no spaces between words and their own sentence punctuation. The Unicode
+ * segmentation rules of `Intl.Segmenter` handle every script; a short abbreviation list per
+ * language covers the cases those rules split too eagerly. The document language is detected
+ * from its script and most frequent function words, or chosen in the settings.
+ * @author Warith Harchaoui
+ */
+
+/** Characters sampled for language detection. */
+const DETECTION_SAMPLE = 20000;
+/** A non-Latin script carrying at least this share of the letters sets the language. */
+const SCRIPT_SHARE = 0.2;
+/** Fallback sentence end when `Intl.Segmenter` is unavailable (CJK full stops need no space). */
+const SENTENCE_END = /[.!?…]["'”’)\]]*\s+|[。！？]["'”’)\]」』]*\s*/g;
+
+/** Scripts that identify a language on their own. Kana is checked before Han (Japanese). */
+const SCRIPTS = [
+  ["ja", /[\p{Script=Hiragana}\p{Script=Katakana}]/gu],
+  ["ko", /\p{Script=Hangul}/gu],
+  ["zh", /\p{Script=Han}/gu],
+  ["th", /\p{Script=Thai}/gu],
+  ["lo", /\p{Script=Lao}/gu],
+  ["km", /\p{Script=Khmer}/gu],
+  ["my", /\p{Script=Myanmar}/gu],
+  ["ar", /\p{Script=Arabic}/gu],
+  ["he", /\p{Script=Hebrew}/gu],
+  ["el", /\p{Script=Greek}/gu],
+  ["ru", /\p{Script=Cyrillic}/gu],
+  ["hi", /\p{Script=Devanagari}/gu],
+];
+
+/** Frequent function words of Latin-script languages. */
+const STOPWORDS = {
+  en: ["the", "and", "of", "to", "is", "in", "that", "for", "with", "this", "are", "it"],
+  fr: ["le", "la", "les", "et", "des", "est", "une", "dans", "pour", "que", "du", "sur"],
+  de: ["der", "die", "das", "und", "ist", "nicht", "mit", "ein", "zu", "den", "sich", "auf"],
+  es: ["el", "los", "las", "y", "es", "una", "por", "para", "con", "del", "que", "se"],
+  it: ["il", "di", "che", "e", "per", "una", "sono", "con", "non", "della", "gli", "nel"],
+  pt: ["o", "os", "as", "que", "uma", "para", "com", "não", "é", "do", "da", "em"],
+  nl: ["de", "het", "een", "en", "van", "is", "dat", "op", "niet", "met", "zijn", "voor"],
+};
+
+/**
+ * Abbreviations followed by a period that does not end a sentence (lowercase, no final period).
+ * Single letters (initials, "p. 12") are handled separately.
+ */
+const ABBREVIATIONS = {
+  en: ["mr", "mrs", "ms", "dr", "prof", "st", "vs", "etc", "e.g", "i.e", "fig", "vol", "pp", "inc", "ltd", "jr", "sr", "approx", "dept", "ch", "sec", "eq"],
+  fr: ["m", "mme", "mlle", "dr", "pr", "cf", "etc", "fig", "env", "art", "chap", "vol", "no", "p.ex", "av", "bd"],
+  de: ["z.b", "bzw", "usw", "dr", "prof", "nr", "vgl", "ca", "d.h", "u.a", "abb", "s", "evtl", "ggf"],
+  es: ["sr", "sra", "srta", "dr", "dra", "pág", "etc", "fig", "núm", "vol", "ej", "aprox"],
+  it: ["sig", "sigra", "dott", "prof", "pag", "ecc", "fig", "vol"],
+  pt: ["sr", "sra", "dr", "dra", "pág", "etc", "fig", "vol", "ex"],
+  nl: ["dhr", "mevr", "dr", "prof", "bijv", "enz", "fig", "nr", "d.w.z", "o.a"],
+};
+
+/** @type {Map<string, Object>} Segmenters by language and granularity */
+const segmenters = new Map();
+
+/** Returns a cached segmenter, or null when `Intl.Segmenter` is not supported. */
+function segmenter(lang, granularity) {
+  if (typeof Intl === "undefined" || !Intl.Segmenter) return null;
+  const key = `${lang}:${granularity}`;
+  if (!segmenters.has(key)) segmenters.set(key, new Intl.Segmenter(lang, { granularity }));
+  return segmenters.get(key);
+}
+
+/**
+ * Guesses the language of a document from its script, then from its function words.
+ * @param {string} text
+ * @returns {string} A BCP 47 language code ("en" when nothing stands out)
+ */
+export function detectLanguage(text) {
+  const sample = text.slice(0, DETECTION_SAMPLE);
+  const letters = (sample.match(/\p{L}/gu) || []).length;
+  if (letters === 0) return "en";
+
+  const han = (sample.match(/\p{Script=Han}/gu) || []).length;
+  for (const [lang, pattern] of SCRIPTS) {
+    let count = (sample.match(pattern) || []).length;
+    // Japanese text is mostly Han characters, with kana in between.
+    if (lang === "ja" && count > 0) count += han;
+    if (count >= letters * SCRIPT_SHARE) return lang;
+  }
+
+  const counts = new Map();
+  for (const word of sample.toLowerCase().match(/\p{L}+/gu) || []) {
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  let best = "en";
+  let bestScore = 0;
+  for (const [lang, words] of Object.entries(STOPWORDS)) {
+    const score = words.reduce((n, w) => n + (counts.get(w) || 0), 0);
+    if (score > bestScore) {
+      best = lang;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/** True when a sentence ends with an abbreviation or an initial rather than a real full stop. */
+function endsWithAbbreviation(sentence, lang) {
+  const match = sentence.trimEnd().match(/(?:^|[\s(])([\p{L}.]+)\.$/u);
+  if (!match) return false;
+  const word = match[1].toLowerCase();
+  if (/^\p{L}$/u.test(word)) return true;
+  return (ABBREVIATIONS[lang.split("-")[0]] || ABBREVIATIONS.en).includes(word);
+}
+
+/**
+ * Finds the sentences of a region of text.
+ * @param {string} text - Full text
+ * @param {number} from - Region start
+ * @param {number} to - Region end
+ * @param {string} lang - Document language
+ * @returns {Array<{start: number, end: number}>} Sentence spans (whitespace included) covering the region
+ */
+export function sentenceSpans(text, from, to, lang) {
+  const region = text.substring(from, to);
+  const spans = [];
+  const seg = segmenter(lang, "sentence");
+  if (seg) {
+    for (const { index, segment } of seg.segment(region)) {
+      const last = spans[spans.length - 1];
+      // Merge the sentence into the previous one when the split came from an abbreviation.
+      if (last && endsWithAbbreviation(text.substring(last.start, last.end), lang)) {
+        last.end = from + index + segment.length;
+      } else {
+        spans.push({ start: from + index, end: from + index + segment.length });
+      }
+    }
+    return spans;
+  }
+
+  let start = 0;
+  for (const m of region.matchAll(SENTENCE_END)) {
+    const end = m.index + m[0].length;
+    if (endsWithAbbreviation(region.substring(start, m.index + 1), lang)) continue;
+    spans.push({ start: from + start, end: from + end });
+    start = end;
+  }
+  if (start < region.length) spans.push({ start: from + start, end: to });
+  return spans;
+}
+
+/**
+ * Finds the last word boundary at or before an offset, so a text can be cut without splitting
+ * a word, in scripts with or without spaces.
+ * @param {string} text - Full text
+ * @param {number} at - Preferred cut offset
+ * @param {number} min - The boundary must be after this offset
+ * @param {string} lang - Document language
+ * @returns {number} The boundary offset, or -1 when there is none after `min`
+ */
+export function wordBoundaryBefore(text, at, min, lang) {
+  const seg = segmenter(lang, "word");
+  if (!seg) {
+    const space = text.lastIndexOf(" ", at);
+    return space > min ? space : -1;
+  }
+  // Segment a window around the cut: boundaries only depend on nearby characters.
+  const windowStart = Math.max(min, at - 200);
+  let best = -1;
+  for (const { index } of seg.segment(text.substring(windowStart, Math.min(text.length, at + 50)))) {
+    const offset = windowStart + index;
+    if (offset > at) break;
+    if (offset > min) best = offset;
+  }
+  return best;
+}
@@ -0,0 +1,100 @@
+/**
+ * @file sessions.js
+ * @description Named chat sessions stored locally in IndexedDB.
+ * Each session owns its message history, its system prompt and the documents attached to it.
+ * @author Warith Harchaoui
+ */
+import { STORE_SESSIONS, dbPut, dbGetAll, dbDelete } from "./db.js";
+
+/** Default persona for new sessions. */
+export const DEFAULT_SYSTEM_PROMPT = "You are a helpful assistant. Keep answers concise. If unsure, say you are unsure.";
+
+/** Name given to sessions until their first message renames them. */
+export const DEFAULT_SESSION_NAME = "New chat";
+
+/** localStorage key remembering the last opened session. */
+const ACTIVE_SESSION_KEY = "activeSessionId";
+
+/**
+ * Creates a new, empty session (not persisted yet).
+ * @param {Object} [init] - Optional overrides (e.g. docHashes to attach)
+ * @returns {Object} The session
+ */
+export function createSession(init = {}) {
+  const now = Date.now();
+  return {
+    id: crypto.randomUUID(),
+    name: DEFAULT_SESSION_NAME,
+    systemPrompt: DEFAULT_SYSTEM_PROMPT,
+    messages: [],       // Chat history without the system prompt
+    summary: "",        // Memory mode: summary of the messages flagged `summarized`
+    docHashes: [],      // Content hashes of the attached library documents
+    createdAt: now,
+    updatedAt: now,
+    ...init,
+  };
+}
+
+/**
+ * Lists the stored sessions, most recently used first.
+ * @returns {Promise<Array>}
+ */
+export async function listSessions() {
+  const sessions = await dbGetAll(STORE_SESSIONS);
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/** Persists a session, bumping its last-used timestamp. */
+export function saveSession(session) {
+  session.updatedAt = Date.now();
+  return dbPut(STORE_SESSIONS, session);
+}
+
+/** Deletes a session. */
+export function deleteSession(id) {
+  return dbDelete(STORE_SESSIONS, id);
+}
+
+/** Reads the id of the last opened session. */
+export function getActiveSessionId() {
+  return localStorage.getItem(ACTIVE_SESSION_KEY);
+}
+
+/** Remembers the opened session across reloads. */
+export function setActiveSessionId(id) {
+  localStorage.setItem(ACTIVE_SESSION_KEY, id);
+}
+
+/**
+ * Builds the message list sent to the model: the session's system prompt followed by its history.
+ *
+ * DESIGN RATIONALE:
+ * Retrieved document context is stored per turn (`context`), never inside the history itself.
+ * The prompt is rebuilt from the clean history on every turn and context is re-attached only
+ * to the most recent user turns, so old fragments do not pile up in the 2048-token window.
+ * In memory mode, summarized messages are replaced by the summary, merged into the system
+ * message (several system messages are not supported by every chat template).
+ *
+ * @param {Object} session
+ * @param {number} [contextTurns=1] - How many of the latest user turns keep their context
+ *   (1 = the current turn only, 0 = none)
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function buildChatMessages(session, contextTurns = 1) {
+  const active = session.messages.filter(m => !m.summarized);
+  const userIndices = active.flatMap((m, i) => m.role === "user" ? [i] : []);
+  const withContext = new Set(contextTurns > 0 ? userIndices.slice(-contextTurns) : []);
+  const system = session.summary
+    ? `${session.systemPrompt}\n\nConversation so far:\n${session.summary}`
+    : session.systemPrompt;
+
+  return [
+    { role: "system", content: system },
+    ...active.map((m, i) => {
+      if (m.role !== "user") return { role: m.role, content: m.content };
+      // Sessions saved before per-turn context kept it inside `content`; `display` is the clean text.
+      const text = m.display ?? m.content;
+      return { role: "user", content: withContext.has(i) && m.context ? text + m.context : text };
+    }),
+  ];
+}
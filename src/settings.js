@@ -0,0 +1,104 @@
+/**
+ * @file settings.js
+ * @description User-tunable settings, persisted in localStorage and bound to inputs
+ * carrying a `data-setting` attribute in the settings panel.
+ * @author Warith Harchaoui
+ */
+
+const SETTINGS_KEY = "settings";
+
+/** Default values. Every key is a setting that can be bound to an input. */
+export const DEFAULT_SETTINGS = {
+  // Hybrid retrieval: weight of the BM25 ranking in the reciprocal rank fusion
+  // (0 = vector only, 1 = lexical only).
+  hybridWeight: 0.3,
+  // Maximum number of document fragments injected per question (fewer if they do not fit).
+  maxFragments: 3,
+  // Tokens guaranteed to document fragments before older conversation turns are kept.
+  contextReserve: 600,
+  // MMR re-ranking: 1 = pure relevance, 0 = pure diversity.
+  mmrLambda: 0.7,
+  // Number of top-ranked fragments MMR chooses from.
+  mmrPoolSize: 12,
+  // Small-to-big retrieval: inject the hit alone ("off"), with its neighbouring chunks
+  // ("neighbours") or with as much of its section as fits ("section").
+  parentExpansion: "neighbours",
+  // Neighbouring chunks added on each side of a hit in "neighbours" mode.
+  parentWindow: 1,
+  // Fragments whose cosine similarity to the query is below this value are never injected,
+  // except the best matches on identifier-like terms (part numbers, codes) when the lexical
+  // weight is above 0.
+  minSimilarity: 0.25,
+  // What to do when no fragment passes the threshold: "skip" injects nothing,
+  // "tell" tells the model the documents have no relevant content.
+  noMatchPolicy: "tell",
+  // Rewrite follow-up questions into standalone queries (with the chat model) before retrieval.
+  queryRewrite: false,
+  // Number of latest user turns whose retrieved context is kept in the prompt (1 = current turn only).
+  contextTurns: 1,
+  // Memory mode: summarize the oldest turns with the chat model when the history grows too large.
+  memoryMode: false,
+  // Dedicated embedding GGUF (URL under /models), or "" to embed with the chat model.
+  embeddingModel: "",
+  // Tesseract language(s) for scanned pages ("eng", "fra", "eng+fra"); the data must be bundled.
+  ocrLanguage: "eng",
+  // Language used to segment sentences and words when chunking ("auto" detects it per document).
+  documentLanguage: "auto",
+};
+
+/** Current settings (defaults overridden by the stored values). */
+export const settings = loadSettings();
+
+/** Reads stored settings, ignoring unknown keys and corrupt storage. */
+function loadSettings() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch {
+    stored = {};
+  }
+  const merged = { ...DEFAULT_SETTINGS };
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (typeof stored[key] === typeof DEFAULT_SETTINGS[key]) merged[key] = stored[key];
+  }
+  return merged;
+}
+
+/** Persists the current settings. */
+export function saveSettings() {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Binds every `[data-setting]` input under a root element to the settings object.
+ * Numbers are clamped to the input's min/max; checkboxes map to booleans.
+ * @param {HTMLElement} root
+ */
+export function bindSettingsInputs(root) {
+  for (const input of root.querySelectorAll("[data-setting]")) {
+    const key = input.dataset.setting;
+    if (!(key in DEFAULT_SETTINGS)) continue;
+
+    if (input.type === "checkbox") {
+      input.checked = settings[key];
+    } else {
+      input.value = settings[key];
+    }
+
+    input.onchange = () => {
+      if (input.type === "checkbox") {
+        settings[key] = input.checked;
+      } else if (typeof DEFAULT_SETTINGS[key] === "number") {
+        let value = Number(input.value);
+        if (!Number.isFinite(value)) value = DEFAULT_SETTINGS[key];
+        if (input.min !== "") value = Math.max(Number(input.min), value);
+        if (input.max !== "") value = Math.min(Number(input.max), value);
+        settings[key] = value;
+        input.value = value;
+      } else {
+        settings[key] = input.value;
+      }
+      saveSettings();
+    };
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * @file transcript.js
+ * @description Conversation export (Markdown, JSON) and JSON import.
+ * The JSON format is lossless: it keeps the content of each message, the document context
+ * injected with each question, the text displayed in the chat, plus the retrieval sources
+ * and generation settings of each answer.
+ * @author Warith Harchaoui
+ */
+import { createSession } from "./sessions.js";
+
+/** Identifies conversation files produced by this app. */
+export const CONVERSATION_FORMAT = "web-browser-llm-rag/conversation";
+export const CONVERSATION_VERSION = 1;
+
+/** Displays a model URL as its file stem (e.g. "tinyllama-q4"). */
+function modelName(modelUrl) {
+  return (modelUrl || "unknown").split("/").pop().replace(".gguf", "");
+}
+
+/**
+ * Formats where a source comes from: document, pages and section path.
+ * @param {{document: string, pages?: string, section?: string}} src
+ * @returns {string}
+ */
+export function sourceLabel(src) {
+  const where = src.pages ? `${src.document}, ${src.pages}` : src.document;
+  return src.section ? `${where} — ${src.section}` : where;
+}
+
+/**
+ * Renders a session as human-readable Markdown.
+ * Each answer is followed by the document fragments retrieved to produce it.
+ * @param {Object} session
+ * @returns {string}
+ */
+export function toMarkdown(session) {
+  const lines = [
+    `# ${session.name}`,
+    "",
+    `_Exported on ${new Date().toLocaleString()}_`,
+    "",
+    `> **System prompt:** ${session.systemPrompt}`,
+    "",
+  ];
+  if (session.summary) {
+    lines.push(`> **Conversation so far:** ${session.summary}`, "");
+  }
+
+  for (const m of session.messages) {
+    if (m.role === "user") {
+      lines.push("## User", "", m.display ?? m.content, "");
+      continue;
+    }
+    lines.push(`## Assistant${m.modelUrl ? ` (${modelName(m.modelUrl)})` : ""}`, "", m.display ?? m.content, "");
+    if (m.noMatch) {
+      lines.push("_No relevant passages found in the documents._", "");
+    }
+    if (m.sources?.length > 0) {
+      lines.push("**Sources:**", "");
+      for (const src of m.sources) {
+        const excerpt = src.text.replace(/\s+/g, " ").slice(0, 120);
+        lines.push(`- _${sourceLabel(src)}_ (score ${src.score.toFixed(3)}): “${excerpt}…”`);
+      }
+      lines.push("");
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Serializes a session as a lossless JSON document.
+ * @param {Object} session
+ * @returns {string}
+ */
+export function toJSON(session) {
+  return JSON.stringify({
+    format: CONVERSATION_FORMAT,
+    version: CONVERSATION_VERSION,
+    exportedAt: new Date().toISOString(),
+    name: session.name,
+    systemPrompt: session.systemPrompt,
+    ...(session.summary ? { summary: session.summary } : {}),
+    messages: session.messages.map(m => ({
+      role: m.role,
+      content: m.content,
+      display: m.display ?? m.content,
+      ...(m.context ? { context: m.context } : {}),
+      ...(m.sources ? { sources: m.sources } : {}),
+      ...(m.noMatch ? { noMatch: true } : {}),
+      ...(m.summarized ? { summarized: true } : {}),
+      ...(m.params ? { params: m.params } : {}),
+      ...(m.modelUrl ? { modelUrl: m.modelUrl } : {}),
+    })),
+  }, null, 2);
+}
+
+/**
+ * Parses a JSON conversation file into a new (unsaved) session.
+ * @param {string} text - File content
+ * @returns {Object} The session
+ * @throws {Error} If the file is not a conversation exported by this app
+ */
+export function fromJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a valid JSON file.");
+  }
+  if (data?.format !== CONVERSATION_FORMAT || !Array.isArray(data.messages)) {
+    throw new Error("Not a conversation exported by this app.");
+  }
+  if (data.version > CONVERSATION_VERSION) {
+    throw new Error(`Unsupported conversation version ${data.version}.`);
+  }
+
+  const messages = data.messages
+    .filter(m => (m.role === "user" || m.role === "assistant") && typeof m.content === "string")
+    .map(m => ({ ...m, display: typeof m.display === "string" ? m.display : m.content }));
+
+  return createSession({
+    name: data.name || "Imported chat",
+    ...(data.systemPrompt ? { systemPrompt: data.systemPrompt } : {}),
+    ...(typeof data.summary === "string" ? { summary: data.summary } : {}),
+    messages,
+  });
+}